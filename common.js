@@ -0,0 +1,103 @@
+// Helpers shared by the student pages (mediation.html, writing.html,
+// abitur.html, phrases.html). Plain globals like the pages' own scripts, so
+// this file is loaded before the page script.
+
+/* ================= CONFIG ================= */
+const API_BASE = "https://sag-abi-mediation-api.sanktannagymnasium.workers.dev";
+const SESSION_TOKEN = sessionStorage.getItem("session_token") || "";
+
+/* ================= TARGET LANGUAGE ================= */
+// The language of the student's course, from the login. It is sent with every
+// request, so gradings queued offline keep the language they were written in.
+const LANGUAGE_LABELS = { en: "Englisch", fr: "Französisch", es: "Spanisch" };
+const TARGET_LANGUAGE = Object.hasOwn(LANGUAGE_LABELS, sessionStorage.getItem("student_language")) ? sessionStorage.getItem("student_language") : "en";
+
+/* ================= API HELPER (sends auth header) ================= */
+async function apiCall(endpoint, body, options = {}) {
+  const res = await fetchAPI(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Session-Token": SESSION_TOKEN
+    },
+    body: JSON.stringify(body),
+    ...options
+  });
+  if (res.status === 401) {
+    // Session expired or revoked – back to the login page
+    sessionStorage.clear();
+    window.location.href = "index.html";
+  }
+  if (!res.ok) {
+    const errData = await res.json().catch(() => ({}));
+    throw new Error(errData.error || `Serverfehler (${res.status})`);
+  }
+  return res.json();
+}
+
+// A failed fetch means no connection – the server's own errors arrive as responses.
+// Such errors carry `offline`, so the caller can queue the request instead.
+async function fetchAPI(endpoint, options) {
+  try {
+    return await fetch(API_BASE + endpoint, options);
+  } catch {
+    throw Object.assign(new Error("Keine Verbindung zum Server."), { offline: true });
+  }
+}
+
+/* ================= UTILS ================= */
+function countWords(s) {
+  return (s || "").trim().split(/\s+/).filter(a => a).length;
+}
+
+function npToGrade(np) {
+  if (np >= 15) return { note: "1+", label: "sehr gut" };
+  if (np >= 14) return { note: "1", label: "sehr gut" };
+  if (np >= 13) return { note: "1–", label: "sehr gut" };
+  if (np >= 12) return { note: "2+", label: "gut" };
+  if (np >= 11) return { note: "2", label: "gut" };
+  if (np >= 10) return { note: "2–", label: "gut" };
+  if (np >= 9)  return { note: "3+", label: "befriedigend" };
+  if (np >= 8)  return { note: "3", label: "befriedigend" };
+  if (np >= 7)  return { note: "3–", label: "befriedigend" };
+  if (np >= 6)  return { note: "4+", label: "ausreichend" };
+  if (np >= 5)  return { note: "4", label: "ausreichend" };
+  if (np >= 4)  return { note: "4–", label: "ausreichend" };
+  if (np >= 3)  return { note: "5+", label: "mangelhaft" };
+  if (np >= 2)  return { note: "5", label: "mangelhaft" };
+  if (np >= 1)  return { note: "5–", label: "mangelhaft" };
+  return { note: "6", label: "ungenügend" };
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, m => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#039;"
+  }[m]));
+}
+
+function safeMarkdown(str) {
+  return DOMPurify.sanitize(marked.parse(str));
+}
+
+/* ================= DARK MODE ================= */
+// Pages that draw charts redraw them on the "themechange" event
+function toggleDarkMode() {
+  const html = document.documentElement;
+  const isDark = html.getAttribute("data-theme") === "dark";
+  html.setAttribute("data-theme", isDark ? "light" : "dark");
+  localStorage.setItem("theme", isDark ? "light" : "dark");
+  document.getElementById("themeToggleBtn").textContent = isDark ? "🌙" : "☀️";
+  window.dispatchEvent(new Event("themechange"));
+}
+
+function initTheme() {
+  const saved = localStorage.getItem("theme");
+  const prefersDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
+  const theme = saved || (prefersDark ? "dark" : "light");
+  document.documentElement.setAttribute("data-theme", theme);
+  document.getElementById("themeToggleBtn").textContent = theme === "dark" ? "☀️" : "🌙";
+}
+
+/* ================= OFFLINE SUPPORT ================= */
+// The app shell is cached by the service worker (sw.js)
+if ("serviceWorker" in navigator) navigator.serviceWorker.register("sw.js").catch(() => {});
@@ -0,0 +1,86 @@
+// Service worker of the trainer pages: keeps the app shell available offline,
+// so a page can be reloaded or reopened without a connection.
+// Pages are loaded network-first, so updates arrive as soon as there is a
+// connection; libraries and fonts from the CDNs are served from the cache.
+// API calls (POST) pass through untouched – the exam and the student's text are
+// kept in localStorage by the pages, which also queue gradings and results
+// until the device is back online (see "OFFLINE QUEUE" in trainer.js).
+const CACHE = "trainer-v2";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "mediation.html",
+  "writing.html",
+  "common.js",
+  "trainer.js",
+  "abitur.html",
+  "phrases.html",
+  "manifest.webmanifest",
+  "icon.svg",
+  "icon-192.png",
+  "icon-512.png"
+];
+
+const CDN_ASSETS = [
+  "https://cdn.jsdelivr.net/npm/marked/marked.min.js",
+  "https://cdn.jsdelivr.net/npm/dompurify@3.2.4/dist/purify.min.js",
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js"
+];
+const CDN_HOSTS = ["cdn.jsdelivr.net", "cdnjs.cloudflare.com", "fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(APP_SHELL);
+    // Script tags load these without CORS, so they are cached as opaque responses
+    await Promise.all(CDN_ASSETS.map(url =>
+      fetch(url, { mode: "no-cors" }).then(res => cache.put(url, res)).catch(() => {})
+    ));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key !== CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    // Links like mediation.html?assignment=CODE still open the cached page
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") await cache.put(request.url, response.clone());
+  return response;
+}
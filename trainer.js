@@ -0,0 +1,434 @@
+// Shared by the mediation and writing trainers (mediation.html, writing.html):
+// the offline queue and the photo upload with OCR. Both are plain globals like
+// the pages' own scripts and call into them (nav, renderGrade,
+// showPendingScores, recordResult, updateWordCount …) and into common.js, so
+// this file is loaded between common.js and the page script.
+
+/* ================= OFFLINE QUEUE ================= */
+// Without a connection, gradings and dashboard results wait in this browser
+// ("queue_<student>") and are sent as soon as the device is back online. The
+// queue is shown above the page, so the student can see what is still waiting;
+// gradings done in the background can be opened from there.
+const QUEUE_RETRY_INTERVAL = 30000; // ms
+let queueRunning = false;
+let awaitedGradingId = null; // queued grading whose feedback the student is waiting for
+
+function getQueue() {
+  try { return JSON.parse(localStorage.getItem("queue_" + getStudentKey()) || "[]"); } catch { return []; }
+}
+
+function setQueue(queue) {
+  localStorage.setItem("queue_" + getStudentKey(), JSON.stringify(queue));
+  renderQueue();
+}
+
+function enqueue(item) {
+  const entry = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), status: "pending", created_at: new Date().toISOString(), ...item };
+  setQueue([...getQueue(), entry]);
+  return entry;
+}
+
+function updateQueueItem(id, changes) {
+  setQueue(getQueue().map(item => item.id === id ? { ...item, ...changes } : item));
+}
+
+function removeQueueItem(id) {
+  setQueue(getQueue().filter(item => item.id !== id));
+}
+
+function queueGrading(endpoint, body, context) {
+  const item = enqueue({ kind: "grade", endpoint, body, context, label: context.topic });
+  awaitedGradingId = item.id;
+  stopTimer();
+  showPendingScores();
+  document.getElementById("feedbackBody").innerHTML =
+    `<p style="font-weight:600;">📴 Du bist gerade offline.</p>
+     <p style="color:var(--ink-muted);font-size:.9rem;">Deine Abgabe wartet in der Warteschlange und wird automatisch bewertet, sobald wieder eine Verbindung besteht. Du kannst die Seite so lange offen lassen oder später zurückkommen.</p>`;
+}
+
+// Dashboard results are never dropped: without a connection they are queued,
+// a rejected one stays in the queue with the reason
+async function submitResult(body) {
+  try {
+    if (!navigator.onLine) throw Object.assign(new Error("Keine Verbindung."), { offline: true });
+    await apiCall("/api/submit-result", body);
+  } catch (e) {
+    enqueue({ kind: "result", body, label: body.topic, ...(e.offline ? {} : { status: "failed", error: e.message }) });
+  }
+}
+
+async function processQueue() {
+  if (queueRunning || !navigator.onLine) return;
+  queueRunning = true;
+  try {
+    for (const item of getQueue().filter(i => i.status === "pending")) {
+      try {
+        if (item.kind === "grade") {
+          const data = await apiCall(item.endpoint, item.body);
+          updateQueueItem(item.id, { status: "done", grade: data });
+          await recordResult(item.context, data);
+          if (item.id === awaitedGradingId && document.getElementById("feedback").classList.contains("active")) {
+            showQueuedGrade(item.id);
+          }
+        } else {
+          await apiCall("/api/submit-result", item.body);
+          removeQueueItem(item.id);
+        }
+      } catch (e) {
+        if (e.offline) break; // connection lost again – wait for the next attempt
+        updateQueueItem(item.id, { status: "failed", error: e.message });
+      }
+    }
+  } finally {
+    queueRunning = false;
+  }
+}
+
+function retryQueueItem(id) {
+  updateQueueItem(id, { status: "pending", error: null });
+  processQueue();
+}
+
+function showQueuedGrade(id) {
+  const item = getQueue().find(i => i.id === id);
+  if (!item?.grade) return;
+  awaitedGradingId = null;
+  nav("feedback");
+  document.getElementById("feedbackLoader").style.display = "none";
+  renderGrade(item.body.student_text, item.grade);
+  removeQueueItem(id);
+}
+
+function renderQueue() {
+  const queue = getQueue();
+  const offline = !navigator.onLine;
+  document.getElementById("queueCard").style.display = queue.length || offline ? "block" : "none";
+  document.getElementById("offlineNotice").style.display = offline ? "block" : "none";
+  document.getElementById("queueList").innerHTML = queue.map(item => {
+    const what = item.kind === "grade" ? "Bewertung" : "Ergebnis fürs Dashboard";
+    const label = `${what} „${escapeHtml(item.label || "—")}“`;
+    if (item.status === "done") {
+      return `<li>✓ ${label}: ${item.grade?.scores?.total ?? "–"} NP
+        <button class="btn btn-small" onclick="showQueuedGrade('${item.id}')">Anzeigen</button></li>`;
+    }
+    if (item.status === "failed") {
+      return `<li class="queue-failed">✕ ${label}: ${escapeHtml(item.error || "Fehler")}
+        <button class="btn btn-small btn-secondary" onclick="retryQueueItem('${item.id}')">Erneut senden</button>
+        <button class="btn btn-small btn-secondary" onclick="removeQueueItem('${item.id}')">Entfernen</button></li>`;
+    }
+    return `<li>⏳ ${label} – wird gesendet, sobald eine Verbindung besteht</li>`;
+  }).join("");
+}
+
+function initQueue() {
+  window.addEventListener("online", () => { renderQueue(); processQueue(); });
+  window.addEventListener("offline", renderQueue);
+  renderQueue();
+  processQueue();
+  setInterval(processQueue, QUEUE_RETRY_INTERVAL);
+}
+
+/* ================= OCR (Multi-Page) ================= */
+const ocrPages = []; // {file, url, base64, rotation, text, uncertain, status} in reading order
+const OCR_MAX_EDGE = 2000;      // px – enough for handwriting, keeps uploads well below the limit
+const OCR_JPEG_QUALITY = 0.82;
+const UNCERTAIN_WORD_RE = /\[\?([^\[\]]*?)\?\]/g;
+
+async function handleOCRFiles(fileList) {
+  const files = Array.from(fileList).filter(f => {
+    if (!f.type.startsWith("image/")) { alert(`${f.name} ist kein Bild.`); return false; }
+    return true;
+  });
+  if (!files.length) return;
+  if (ocrPages.length + files.length > 10) {
+    alert("Maximal 10 Seiten pro Text.");
+    return;
+  }
+
+  document.getElementById("ocrLoader").style.display = "block";
+  document.getElementById("ocrLoaderText").textContent = "Fotos werden vorbereitet …";
+  for (const file of files) {
+    const page = { file, url: "", base64: null, rotation: 0, text: "", uncertain: 0, status: "pending" };
+    try {
+      page.base64 = await prepareImage(file);
+      page.url = page.base64;
+    } catch (e) {
+      alert(`${file.name}: ${e.message}`);
+      continue;
+    }
+    ocrPages.push(page);
+    renderOCRPages();
+  }
+  document.getElementById("ocrLoader").style.display = "none";
+
+  // Reset file input so same files can be re-selected
+  document.getElementById("ocrFileInput").value = "";
+}
+
+// Rotates according to EXIF, crops the dark margin around the sheet and
+// scales down to OCR_MAX_EDGE, so phone photos arrive as small JPEGs.
+async function prepareImage(file, rotation = 0) {
+  const source = await loadImageSource(file);
+  const width = source.naturalWidth || source.width;
+  const height = source.naturalHeight || source.height;
+  const box = findPaperBox(source, width, height);
+  const scale = Math.min(1, OCR_MAX_EDGE / Math.max(box.w, box.h));
+  const w = Math.round(box.w * scale), h = Math.round(box.h * scale);
+  const turned = rotation % 180 !== 0;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = turned ? h : w;
+  canvas.height = turned ? w : h;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(rotation * Math.PI / 180);
+  ctx.drawImage(source, box.x, box.y, box.w, box.h, -w / 2, -h / 2, w, h);
+  if (source.close) source.close();
+
+  return canvas.toDataURL("image/jpeg", OCR_JPEG_QUALITY);
+}
+
+async function loadImageSource(file) {
+  if (window.createImageBitmap) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch (e) { /* older browsers: fall back to <img>, which also honours EXIF */ }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } catch (e) {
+    throw new Error("Bild konnte nicht gelesen werden.");
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Finds the bright sheet of paper on a darker background: edge rows/columns
+// clearly darker than the centre are trimmed. Returns the full image when in doubt.
+function findPaperBox(source, width, height) {
+  const full = { x: 0, y: 0, w: width, h: height };
+  const f = 200 / Math.max(width, height);
+  const sw = Math.max(1, Math.round(width * f)), sh = Math.max(1, Math.round(height * f));
+  const canvas = document.createElement("canvas");
+  canvas.width = sw;
+  canvas.height = sh;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(source, 0, 0, sw, sh);
+  const px = ctx.getImageData(0, 0, sw, sh).data;
+  const lum = (x, y) => { const i = (y * sw + x) * 4; return .299 * px[i] + .587 * px[i + 1] + .114 * px[i + 2]; };
+  const rowMean = y => { let s = 0; for (let x = 0; x < sw; x++) s += lum(x, y); return s / sw; };
+  const colMean = x => { let s = 0; for (let y = 0; y < sh; y++) s += lum(x, y); return s / sh; };
+
+  let centre = 0, n = 0;
+  for (let y = Math.floor(sh / 4); y < sh * 3 / 4; y++) {
+    for (let x = Math.floor(sw / 4); x < sw * 3 / 4; x++) { centre += lum(x, y); n++; }
+  }
+  centre /= n || 1;
+  const limit = centre * .75;
+
+  let top = 0, bottom = sh - 1, left = 0, right = sw - 1;
+  while (top < sh / 3 && rowMean(top) < limit) top++;
+  while (bottom > sh * 2 / 3 && rowMean(bottom) < limit) bottom--;
+  while (left < sw / 3 && colMean(left) < limit) left++;
+  while (right > sw * 2 / 3 && colMean(right) < limit) right--;
+  if (!top && !left && bottom === sh - 1 && right === sw - 1) return full;
+
+  const x = Math.floor(left / f), y = Math.floor(top / f);
+  const box = { x, y, w: Math.min(width, Math.ceil((right + 1) / f)) - x, h: Math.min(height, Math.ceil((bottom + 1) / f)) - y };
+  return box.w * box.h < width * height * .3 ? full : box;
+}
+
+function renderOCRPages() {
+  const container = document.getElementById("ocrPages");
+  document.getElementById("ocrStartBtn").style.display = ocrPages.some(p => p.status !== "done") ? "" : "none";
+  if (!ocrPages.length) { container.innerHTML = ""; return; }
+
+  container.innerHTML = ocrPages.map((p, i) => `
+    <div class="ocr-page-thumb ${p.status}">
+      <img src="${p.url}" alt="Seite ${i + 1}">
+      <div class="page-num">Seite ${i + 1}${p.uncertain ? ` · ${p.uncertain} ?` : ""}</div>
+      <button class="remove-page" onclick="removeOCRPage(${i})" title="Entfernen">✕</button>
+      <div class="page-tools">
+        <button onclick="moveOCRPage(${i}, -1)" title="Nach vorne" ${i === 0 ? "disabled" : ""}>◀</button>
+        <button onclick="rotateOCRPage(${i})" title="Drehen">↻</button>
+        <button onclick="moveOCRPage(${i}, 1)" title="Nach hinten" ${i === ocrPages.length - 1 ? "disabled" : ""}>▶</button>
+      </div>
+    </div>
+  `).join("");
+}
+
+function moveOCRPage(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= ocrPages.length) return;
+  [ocrPages[index], ocrPages[target]] = [ocrPages[target], ocrPages[index]];
+  renderOCRPages();
+  if (document.getElementById("ocrResult").style.display !== "none") combineOCRTexts();
+}
+
+async function rotateOCRPage(index) {
+  const page = ocrPages[index];
+  page.rotation = (page.rotation + 90) % 360;
+  try {
+    page.base64 = await prepareImage(page.file, page.rotation);
+  } catch (e) {
+    alert(e.message);
+    return;
+  }
+  page.url = page.base64;
+  // A rotated page has to be read again
+  page.text = "";
+  page.uncertain = 0;
+  page.status = "pending";
+  renderOCRPages();
+}
+
+function removeOCRPage(index) {
+  ocrPages.splice(index, 1);
+  renderOCRPages();
+  if (ocrPages.some(p => p.status === "done")) {
+    combineOCRTexts();
+  } else {
+    document.getElementById("ocrResult").style.display = "none";
+  }
+}
+
+// Sends all pages that still need reading in one request, in the current order
+async function runOCR() {
+  const pending = ocrPages.filter(p => p.status !== "done");
+  if (!pending.length) return;
+
+  const btn = document.getElementById("ocrStartBtn");
+  btn.disabled = true;
+  pending.forEach(p => { p.status = "processing"; });
+  renderOCRPages();
+  document.getElementById("ocrLoader").style.display = "block";
+  document.getElementById("ocrLoaderText").textContent = pending.length > 1
+    ? `Handschrift wird erkannt … (${pending.length} Seiten)`
+    : "Handschrift wird erkannt …";
+
+  try {
+    const data = await apiCall("/api/ocr", { images: pending.map(p => p.base64), target_language: TARGET_LANGUAGE });
+    pending.forEach((p, i) => {
+      const page = data.pages?.[i] || { text: "", uncertain: 0 };
+      p.text = page.text || "";
+      p.uncertain = page.uncertain || 0;
+      p.status = "done";
+    });
+  } catch (e) {
+    pending.forEach(p => { p.status = "error"; });
+    alert("Texterkennung fehlgeschlagen: " + e.message);
+  }
+
+  btn.disabled = false;
+  document.getElementById("ocrLoader").style.display = "none";
+  renderOCRPages();
+
+  if (ocrPages.some(p => p.status === "done")) {
+    combineOCRTexts();
+    document.getElementById("ocrResult").style.display = "block";
+  }
+}
+
+function combineOCRTexts() {
+  const done = ocrPages.map((p, i) => ({ ...p, num: i + 1 })).filter(p => p.status === "done");
+  const combined = done
+    .map(p => ocrPages.length > 1 ? `--- Seite ${p.num} ---\n${p.text}` : p.text)
+    .join("\n\n");
+  document.getElementById("ocrText").value = combined;
+  updateOCRWordCount();
+}
+
+function updateOCRWordCount() {
+  const text = document.getElementById("ocrText").value;
+  const count = countWords(text);
+  const unsure = countUncertainWords(text);
+  document.getElementById("ocrWordCount").textContent = `${count} Wörter erkannt`
+    + (unsure ? ` · ${unsure} unsicher` : "");
+}
+
+// Make OCR textarea editable – update word count on input
+document.addEventListener("DOMContentLoaded", () => {
+  const ocrTextarea = document.getElementById("ocrText");
+  if (ocrTextarea) {
+    ocrTextarea.addEventListener("input", updateOCRWordCount);
+  }
+});
+
+function useOCRText() {
+  const text = document.getElementById("ocrText").value;
+  if (!text.trim()) { alert("Kein Text vorhanden."); return; }
+
+  // Clean up page separators if present – the [?…?] markers stay until confirmed
+  const cleaned = text.replace(/---\s*Seite\s*\d+\s*---\n?/g, "").trim();
+  document.getElementById("studentText").value = cleaned;
+  updateWordCount();
+  const box = document.getElementById("uncertainBox");
+  (box.style.display !== "none" ? box : document.getElementById("studentText")).scrollIntoView({ behavior: "smooth" });
+}
+
+function clearOCR() {
+  ocrPages.length = 0;
+  renderOCRPages();
+  document.getElementById("ocrText").value = "";
+  document.getElementById("ocrResult").style.display = "none";
+  document.getElementById("ocrFileInput").value = "";
+}
+
+/* ---------- Unsure words: confirmed by the student before grading ---------- */
+function countUncertainWords(text) {
+  return (String(text || "").match(UNCERTAIN_WORD_RE) || []).length;
+}
+
+function renderUncertainWords() {
+  const text = document.getElementById("studentText").value;
+  const matches = [...text.matchAll(UNCERTAIN_WORD_RE)];
+  const box = document.getElementById("uncertainBox");
+  box.style.display = matches.length ? "block" : "none";
+  if (!matches.length) return;
+
+  document.getElementById("uncertainCount").textContent = matches.length === 1
+    ? "1 unsicher erkanntes Wort" : `${matches.length} unsicher erkannte Wörter`;
+  document.getElementById("uncertainList").innerHTML = matches.map((m, i) => {
+    const before = text.slice(Math.max(0, m.index - 40), m.index).replace(UNCERTAIN_WORD_RE, "$1");
+    const after = text.slice(m.index + m[0].length, m.index + m[0].length + 40).replace(UNCERTAIN_WORD_RE, "$1");
+    return `
+      <div class="uncertain-item">
+        <div class="uncertain-context">…${escapeHtml(before)}<mark>${escapeHtml(m[1] || "???")}</mark>${escapeHtml(after)}…</div>
+        <input type="text" id="uncertainInput${i}" value="${escapeHtml(m[1])}" placeholder="Wort eintragen"
+               onkeydown="if(event.key==='Enter')confirmUncertainWord(${i})">
+        <button class="btn btn-small" onclick="confirmUncertainWord(${i})">✓ Bestätigen</button>
+      </div>`;
+  }).join("");
+}
+
+// Replaces the n-th marker with what the student typed (empty = drop the word)
+function confirmUncertainWord(n) {
+  const textarea = document.getElementById("studentText");
+  const word = document.getElementById(`uncertainInput${n}`).value.trim();
+  const m = [...textarea.value.matchAll(UNCERTAIN_WORD_RE)][n];
+  if (!m) return;
+  const start = !word && textarea.value[m.index - 1] === " " ? m.index - 1 : m.index;
+  textarea.value = textarea.value.slice(0, start) + word + textarea.value.slice(m.index + m[0].length);
+  updateWordCount();
+  document.getElementById("uncertainInput0")?.focus();
+}
+
+// Drag & Drop (multi-file)
+document.addEventListener("DOMContentLoaded", () => {
+  const zone = document.getElementById("uploadZone");
+  if (!zone) return;
+  zone.addEventListener("dragover", e => { e.preventDefault(); zone.classList.add("dragover"); });
+  zone.addEventListener("dragleave", () => zone.classList.remove("dragover"));
+  zone.addEventListener("drop", e => {
+    e.preventDefault();
+    zone.classList.remove("dragover");
+    const files = Array.from(e.dataTransfer.files).filter(f => f.type.startsWith("image/"));
+    if (files.length) handleOCRFiles(files);
+  });
+});
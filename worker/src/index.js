@@ -1,65 +1,233 @@
-/* ================= AUTH & RATE LIMITING ================= */
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const MAX_REQUESTS_PER_WINDOW = 10;   // max 10 requests per minute per IP
-const rateLimitMap = new Map();
+/* ================= AUTH ================= */
+const SESSION_TTL = 12 * 60 * 60;     // login sessions expire after 12 hours (seconds)
 let currentOrigin = ""; // set per request for CORS
 
-function checkAuth(request, env) {
-  if (!env.ACCESS_PASSWORD) {
-    return jsonResponse({ error: "Server-Konfigurationsfehler." }, 500);
+// Resolves the X-Session-Token header to a session issued by /api/login or
+// /api/teacher-login. Returns { session } or { error: Response }.
+async function checkAuth(request, env) {
+  const token = request.headers.get("X-Session-Token") || "";
+  if (!token || token.length > 100) {
+    return { error: jsonResponse({ error: "Nicht angemeldet." }, 401) };
   }
-  const authHeader = request.headers.get("X-Access-Password") || "";
-  if (authHeader !== env.ACCESS_PASSWORD) {
-    return jsonResponse({ error: "Nicht autorisiert. Falsches Passwort." }, 401);
+  const session = await getJSON(env, "session:" + token);
+  if (!session) {
+    return { error: jsonResponse({ error: "Sitzung abgelaufen. Bitte erneut anmelden." }, 401) };
   }
-  return null; // auth OK
+  session.token = token;
+  return { session };
 }
 
-function checkRateLimit(request) {
-  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
-  const now = Date.now();
+function requireTeacher(session) {
+  if (session.role !== "teacher") {
+    return jsonResponse({ error: "Nur für Lehrkräfte." }, 403);
+  }
+  return null; // OK
+}
+
+function requireStudent(session) {
+  if (session.role !== "student") {
+    return jsonResponse({ error: "Nur für Schülerinnen und Schüler." }, 403);
+  }
+  return null; // OK
+}
+
+/* ================= RATE LIMITING & QUOTAS ================= */
+// Counters live in the RateLimiter Durable Object, one instance per subject
+// ("student:<id>", "teacher:<session id>", "login:<course code>" for student logins,
+// "ip:<address>" for the teacher login), so every isolate sees the same counts.
+// The whole school shares one NAT address, which is why student requests are
+// never keyed on the IP alone.
+// Without the RATE_LIMITER binding (e.g. plain wrangler dev) the counts fall
+// back to memory of the current isolate.
+const MAX_LOGINS_PER_MINUTE = 60;          // per course code and IP – a whole class logs in at once
+const MAX_FAILED_LOGINS_PER_HOUR = 30;     // per course code, against guessing access codes
+const MAX_TEACHER_LOGINS_PER_MINUTE = 30;  // per IP
+const MAX_REQUESTS_PER_MINUTE = { student: 20, teacher: 60 };
+
+// Student quotas for the endpoints that call the model. Routes sharing a bucket
+// share one quota; period is "day" or "week" (UTC, weeks start on Monday).
+// A grading in consistency mode counts once per run (see handleGrade).
+const QUOTAS = {
+  "/api/generate": { bucket: "generate", limit: 20, period: "day", label: "Prüfungen generiert" },
+  "/api/grade": { bucket: "grade", limit: 25, period: "day", label: "Bewertungen angefordert" },
+  "/api/grade-writing": { bucket: "grade", limit: 25, period: "day", label: "Bewertungen angefordert" },
+  "/api/parse-task": { bucket: "parse-task", limit: 30, period: "week", label: "Aufgaben hochgeladen" },
+  "/api/extract-phrases": { bucket: "phrases", limit: 20, period: "day", label: "Musterlösungen ausgewertet" }
+};
+
+const LIMIT_PERIODS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+const WEEK_OFFSET = 4 * 24 * 60 * 60 * 1000; // 1 Jan 1970 was a Thursday
+
+// Fixed window containing `now`: { start, end } in ms
+function limitWindow(period, now) {
+  const length = LIMIT_PERIODS[period];
+  const offset = period === "week" ? WEEK_OFFSET : 0;
+  const start = now - ((now - offset) % length);
+  return { start, end: start + length };
+}
+
+// Counts `cost` requests in `bucket` for `subject` – all of them or, if they
+// do not fit under the limit, none. A cost of 0 only reads the count.
+// Returns { allowed, remaining, reset_at } (reset_at in ms).
+async function hitLimit(env, subject, bucket, limit, period, cost = 1) {
+  const window = limitWindow(period, Date.now());
+  if (env.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(subject));
+      const res = await stub.fetch("https://rate-limiter/hit", {
+        method: "POST",
+        body: JSON.stringify({ bucket, limit, cost, ...window })
+      });
+      if (res.ok) return await res.json();
+    } catch (e) {
+      // An unavailable limiter must not take the app down – count in memory instead
+      console.error("RateLimiter nicht erreichbar:", e.message);
+    }
+  }
+  return hitMemoryLimit(subject + "|" + bucket, limit, window, cost);
+}
+
+const memoryLimits = new Map();
+function hitMemoryLimit(key, limit, { start, end }, cost) {
+  let entry = memoryLimits.get(key);
+  if (!entry || entry.start !== start) {
+    entry = { start, end, count: 0 };
+    memoryLimits.set(key, entry);
+  }
+  const allowed = entry.count + cost <= limit;
+  if (allowed) entry.count += cost;
 
-  if (!rateLimitMap.has(ip)) {
-    rateLimitMap.set(ip, { count: 1, windowStart: now });
-    return null; // OK
+  // Drop finished windows now and then
+  if (memoryLimits.size > 1000) {
+    const now = Date.now();
+    for (const [k, e] of memoryLimits) {
+      if (e.end <= now) memoryLimits.delete(k);
+    }
   }
+  return { allowed, remaining: limit - entry.count, reset_at: end };
+}
 
-  const entry = rateLimitMap.get(ip);
+function formatResetTime(ms) {
+  return new Date(ms).toLocaleString("de-DE", {
+    timeZone: "Europe/Berlin",
+    weekday: "long",
+    day: "numeric",
+    month: "numeric",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
 
-  // Reset window if expired
-  if (now - entry.windowStart > RATE_LIMIT_WINDOW) {
-    entry.count = 1;
-    entry.windowStart = now;
-    return null; // OK
+// Student login: attempts per course code and IP, so classes logging in at the
+// same time do not share a count, and failed attempts per course code, so access
+// codes cannot be guessed from one address or many
+async function checkLoginRateLimit(request, env, joinCode) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const attempts = await hitLimit(env, "login:" + joinCode, "ip:" + ip, MAX_LOGINS_PER_MINUTE, "minute");
+  if (!attempts.allowed) {
+    return jsonResponse({
+      error: "Zu viele Anmeldeversuche. Bitte warte eine Minute und versuche es erneut.",
+      retry_after: Math.ceil((attempts.reset_at - Date.now()) / 1000)
+    }, 429);
   }
+  // Failures are counted by recordFailedLogin(); this only reads the count
+  const failures = await hitLimit(env, "login:" + joinCode, "failures", MAX_FAILED_LOGINS_PER_HOUR, "hour", 0);
+  if (failures.remaining <= 0) {
+    return jsonResponse({
+      error: `Zu viele fehlgeschlagene Anmeldungen mit diesem Kurscode. Anmelden ist wieder ab ${formatResetTime(failures.reset_at)} Uhr möglich.`,
+      retry_after: Math.ceil((failures.reset_at - Date.now()) / 1000)
+    }, 429);
+  }
+  return null; // OK
+}
+
+async function recordFailedLogin(env, joinCode) {
+  await hitLimit(env, "login:" + joinCode, "failures", MAX_FAILED_LOGINS_PER_HOUR, "hour");
+}
 
-  entry.count++;
+// Teacher login: per IP, against password guessing
+async function checkTeacherLoginRateLimit(request, env) {
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  const hit = await hitLimit(env, "ip:" + ip, "login", MAX_TEACHER_LOGINS_PER_MINUTE, "minute");
+  if (hit.allowed) return null; // OK
+  return jsonResponse({
+    error: "Zu viele Anmeldeversuche. Bitte warte eine Minute und versuche es erneut.",
+    retry_after: Math.ceil((hit.reset_at - Date.now()) / 1000)
+  }, 429);
+}
 
-  if (entry.count > MAX_REQUESTS_PER_WINDOW) {
+// Signed-in routes: per student or teacher session. Teachers share one
+// password, so each of their logins counts on its own.
+async function checkRateLimit(env, session, pathname) {
+  const subject = session.role === "student" ? "student:" + session.student_id : "teacher:" + session.session_id;
+  const hit = await hitLimit(env, subject, "requests", MAX_REQUESTS_PER_MINUTE[session.role] || MAX_REQUESTS_PER_MINUTE.student, "minute");
+  if (!hit.allowed) {
     return jsonResponse({
-      error: "Zu viele Anfragen. Bitte warte eine Minute und versuche es erneut."
+      error: "Zu viele Anfragen. Bitte warte eine Minute und versuche es erneut.",
+      retry_after: Math.ceil((hit.reset_at - Date.now()) / 1000)
     }, 429);
   }
+  return null; // OK
+}
 
+// Counts `cost` uses of the student quota of a route; returns the 429 response
+// when they do not fit. Handlers charge after validating the input, so a
+// rejected request does not use up the quota.
+async function chargeQuota(env, session, pathname, cost = 1) {
+  const quota = QUOTAS[pathname];
+  if (!quota || session.role !== "student") return null; // OK
+  const used = await hitLimit(env, "student:" + session.student_id, "quota:" + quota.bucket, quota.limit, quota.period, cost);
+  if (!used.allowed) {
+    const when = quota.period === "week" ? "diese Woche" : "heute";
+    return jsonResponse({
+      error: (cost === 1
+        ? `Kontingent erschöpft: Du hast ${when} bereits ${quota.limit} ${quota.label}. `
+        : `Kontingent reicht nicht: Diese Anfrage zählt mehrfach, ${when} ${used.remaining === 1 ? "ist" : "sind"} nur noch ${used.remaining} frei. `) +
+        `Es wird am ${formatResetTime(used.reset_at)} Uhr zurückgesetzt.`,
+      quota: { bucket: quota.bucket, limit: quota.limit, period: quota.period, reset_at: new Date(used.reset_at).toISOString() }
+    }, 429);
+  }
   return null; // OK
 }
 
-// Cleanup old entries periodically (every 100 requests)
-let requestCounter = 0;
-function cleanupRateLimitMap() {
-  requestCounter++;
-  if (requestCounter % 100 === 0) {
-    const now = Date.now();
-    for (const [ip, entry] of rateLimitMap) {
-      if (now - entry.windowStart > RATE_LIMIT_WINDOW * 5) {
-        rateLimitMap.delete(ip);
-      }
+// Durable Object holding the counters of one subject. Each bucket keeps the
+// count of its current window; an alarm clears buckets whose window has ended.
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { bucket, limit, cost = 1, start, end } = await request.json();
+    let entry = await this.storage.get(bucket);
+    if (!entry || entry.start !== start) entry = { start, end, count: 0 };
+    const allowed = entry.count + cost <= limit;
+    if (allowed) {
+      entry.count += cost;
+      await this.storage.put(bucket, entry);
+      const alarm = await this.storage.getAlarm();
+      if (alarm == null || alarm > end) await this.storage.setAlarm(end);
     }
+    return new Response(JSON.stringify({ allowed, remaining: limit - entry.count, reset_at: end }));
+  }
+
+  async alarm() {
+    const now = Date.now();
+    const entries = await this.storage.list();
+    const expired = [...entries].filter(([, e]) => e.end <= now).map(([bucket]) => bucket);
+    if (expired.length) await this.storage.delete(expired);
+    const next = Math.min(...[...entries.values()].filter(e => e.end > now).map(e => e.end));
+    if (Number.isFinite(next)) await this.storage.setAlarm(next);
   }
 }
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const { pathname } = new URL(request.url);
     const origin = request.headers.get("Origin") || "";
     currentOrigin = origin;
@@ -70,554 +238,5094 @@ export default {
     }
 
     try {
+      let session = null;
+
       // Only protect /api/* routes
       if (pathname.startsWith("/api/")) {
-        // 1. Auth check
-        const authError = checkAuth(request, env);
-        if (authError) return authError;
+        // 1. Login routes are the only ones reachable without a session,
+        //    rate limited against guessing (the student login in handleLogin)
+        if (pathname === "/api/teacher-login") {
+          const loginLimitError = await checkTeacherLoginRateLimit(request, env);
+          if (loginLimitError) return loginLimitError;
+        }
+        if (pathname === "/api/login" && request.method === "POST") {
+          return await handleLogin(request, env);
+        }
+        if (pathname === "/api/teacher-login" && request.method === "POST") {
+          return await handleTeacherLogin(request, env);
+        }
+
+        // 2. Session check
+        const auth = await checkAuth(request, env);
+        if (auth.error) return auth.error;
+        session = auth.session;
 
-        // 2. Rate limit check
-        const rateLimitError = checkRateLimit(request);
+        // 3. Rate limit per student, not per (shared) IP; the handlers charge the quotas
+        const rateLimitError = await checkRateLimit(env, session, pathname);
         if (rateLimitError) return rateLimitError;
-        cleanupRateLimitMap();
       }
 
       if (pathname === "/api/verify" && request.method === "POST") {
-        return jsonResponse({ ok: true });
+        return jsonResponse({ ok: true, ...publicSession(session) });
+      }
+      if (pathname === "/api/logout" && request.method === "POST") {
+        await env.RESULTS_KV.delete("session:" + session.token);
+        return jsonResponse({ success: true });
       }
       if (pathname === "/api/generate" && request.method === "POST") {
-        return await handleGenerate(request, env);
+        return await handleGenerate(request, env, session);
       }
       if (pathname === "/api/grade" && request.method === "POST") {
-        return await handleGrade(request, env);
+        return await handleGrade(request, env, session, ctx);
+      }
+      if (pathname === "/api/grade-writing" && request.method === "POST") {
+        return await handleGradeWriting(request, env, session, ctx);
       }
       if (pathname === "/api/ocr" && request.method === "POST") {
-        return await handleOCR(request, env);
+        return await handleOCR(request, env, session);
       }
       if (pathname === "/api/parse-task" && request.method === "POST") {
-        return await handleParseTask(request, env);
+        return await handleParseTask(request, env, session);
       }
       if (pathname === "/api/model-answer" && request.method === "POST") {
-        return await handleModelAnswer(request, env);
+        return await handleModelAnswer(request, env, session, ctx);
+      }
+      if (pathname === "/api/grading" && request.method === "POST") {
+        return await handleGetGrading(request, env, session);
       }
       // Dashboard endpoints
       if (pathname === "/api/submit-result" && request.method === "POST") {
-        return await handleSubmitResult(request, env);
+        return await handleSubmitResult(request, env, session);
       }
       if (pathname === "/api/results" && request.method === "POST") {
-        return await handleGetResults(request, env);
+        return await handleGetResults(request, env, session);
+      }
+      if (pathname === "/api/result-detail" && request.method === "POST") {
+        return await handleResultDetail(request, env, session);
+      }
+      if (pathname === "/api/override-result" && request.method === "POST") {
+        return await handleOverrideResult(request, env, session);
+      }
+      if (pathname === "/api/my-results" && request.method === "POST") {
+        return await handleMyResults(request, env, session);
+      }
+      if (pathname === "/api/usage" && request.method === "POST") {
+        return await handleGetUsage(request, env, session);
+      }
+      if (pathname === "/api/history" && request.method === "POST") {
+        return await handleGetHistory(request, env, session);
+      }
+      if (pathname === "/api/history-add" && request.method === "POST") {
+        return await handleAddHistory(request, env, session);
+      }
+      if (pathname === "/api/history-delete" && request.method === "POST") {
+        return await handleDeleteHistory(request, env, session);
+      }
+      if (pathname === "/api/history-import" && request.method === "POST") {
+        return await handleImportHistory(request, env, session);
+      }
+      // Phrase bank (student deck, course lists from the teacher)
+      if (pathname === "/api/phrases" && request.method === "POST") {
+        return await handleGetPhrases(request, env, session);
+      }
+      if (pathname === "/api/add-phrase" && request.method === "POST") {
+        return await handleAddPhrase(request, env, session);
+      }
+      if (pathname === "/api/review-phrase" && request.method === "POST") {
+        return await handleReviewPhrase(request, env, session);
+      }
+      if (pathname === "/api/delete-phrase" && request.method === "POST") {
+        return await handleDeletePhrase(request, env, session);
+      }
+      if (pathname === "/api/extract-phrases" && request.method === "POST") {
+        return await handleExtractPhrases(request, env, session);
+      }
+      if (pathname === "/api/phrase-lists" && request.method === "POST") {
+        return await handleGetPhraseLists(request, env, session);
+      }
+      if (pathname === "/api/save-phrase-list" && request.method === "POST") {
+        return await handleSavePhraseList(request, env, session);
+      }
+      if (pathname === "/api/delete-phrase-list" && request.method === "POST") {
+        return await handleDeletePhraseList(request, env, session);
+      }
+      if (pathname === "/api/my-data" && request.method === "POST") {
+        return await handleMyData(request, env, session);
+      }
+      if (pathname === "/api/request-deletion" && request.method === "POST") {
+        return await handleRequestDeletion(request, env, session);
+      }
+      if (pathname === "/api/deletion-requests" && request.method === "POST") {
+        return await handleGetDeletionRequests(request, env, session);
+      }
+      if (pathname === "/api/resolve-deletion" && request.method === "POST") {
+        return await handleResolveDeletion(request, env, session);
+      }
+      if (pathname === "/api/purge-results" && request.method === "POST") {
+        return await handlePurgeResults(request, env, session);
+      }
+      if (pathname === "/api/library" && request.method === "POST") {
+        return await handleGetLibrary(request, env, session);
+      }
+      if (pathname === "/api/library-entry" && request.method === "POST") {
+        return await handleGetLibraryEntry(request, env, session);
+      }
+      if (pathname === "/api/update-library-entry" && request.method === "POST") {
+        return await handleUpdateLibraryEntry(request, env, session);
+      }
+      if (pathname === "/api/abitur" && request.method === "POST") {
+        return await handleGetAbitur(request, env, session);
+      }
+      if (pathname === "/api/start-abitur" && request.method === "POST") {
+        return await handleStartAbitur(request, env, session);
+      }
+      if (pathname === "/api/abitur-events" && request.method === "POST") {
+        return await handleAbiturEvents(request, env, session);
+      }
+      if (pathname === "/api/finish-abitur" && request.method === "POST") {
+        return await handleFinishAbitur(request, env, session);
+      }
+      if (pathname === "/api/cancel-abitur" && request.method === "POST") {
+        return await handleCancelAbitur(request, env, session);
       }
       if (pathname === "/api/delete-result" && request.method === "POST") {
-        return await handleDeleteResult(request, env);
+        return await handleDeleteResult(request, env, session);
+      }
+      if (pathname === "/api/migrate-results" && request.method === "POST") {
+        return await handleMigrateResults(request, env, session);
+      }
+      if (pathname === "/api/import-results" && request.method === "POST") {
+        return await handleImportResults(request, env, session);
+      }
+      // Rubrics (teacher)
+      if (pathname === "/api/rubrics" && request.method === "POST") {
+        return await handleGetRubrics(request, env, session);
+      }
+      if (pathname === "/api/rubric" && request.method === "POST") {
+        return await handleGetRubric(request, env, session);
+      }
+      if (pathname === "/api/save-rubric" && request.method === "POST") {
+        return await handleSaveRubric(request, env, session);
+      }
+      if (pathname === "/api/delete-rubric" && request.method === "POST") {
+        return await handleDeleteRubric(request, env, session);
+      }
+      if (pathname === "/api/assign-rubric" && request.method === "POST") {
+        return await handleAssignRubric(request, env, session);
+      }
+      // Course & account management (teacher)
+      if (pathname === "/api/courses" && request.method === "POST") {
+        return await handleGetCourses(request, env, session);
+      }
+      if (pathname === "/api/create-course" && request.method === "POST") {
+        return await handleCreateCourse(request, env, session);
+      }
+      if (pathname === "/api/add-students" && request.method === "POST") {
+        return await handleAddStudents(request, env, session);
+      }
+      if (pathname === "/api/reset-login-code" && request.method === "POST") {
+        return await handleResetLoginCode(request, env, session);
+      }
+      if (pathname === "/api/update-student" && request.method === "POST") {
+        return await handleUpdateStudent(request, env, session);
+      }
+      if (pathname === "/api/remove-student" && request.method === "POST") {
+        return await handleRemoveStudent(request, env, session);
+      }
+      // Assignments (teacher publishes, student opens by code)
+      if (pathname === "/api/create-assignment" && request.method === "POST") {
+        return await handleCreateAssignment(request, env, session);
+      }
+      if (pathname === "/api/assignments" && request.method === "POST") {
+        return await handleGetAssignments(request, env, session);
+      }
+      if (pathname === "/api/delete-assignment" && request.method === "POST") {
+        return await handleDeleteAssignment(request, env, session);
+      }
+      if (pathname === "/api/open-assignment" && request.method === "POST") {
+        return await handleOpenAssignment(request, env, session);
       }
       return new Response("Not Found", { status: 404 });
     } catch (err) {
       console.error("API Error:", err.message);
-      return new Response(
-        JSON.stringify({ error: "Ein interner Fehler ist aufgetreten." }),
-        { status: 500, headers: corsHeaders(origin) }
-      );
+      const { error, status } = describeError(err);
+      return jsonResponse({ error }, status);
     }
+  },
+
+  // Daily retention purge (see "DATA PROTECTION")
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeExpiredData(env));
   }
 };
 
-/* ================= GENERATE ================= */
-async function handleGenerate(request, env) {
-  const body = await request.json();
-  const { topic, source_len_words, prompt_template } = body;
+/* ================= LOGIN ================= */
+async function handleLogin(request, env) {
+  const { join_code, login_code } = await request.json();
 
-  // Input validation
-  if (!prompt_template || typeof prompt_template !== "string") {
-    return jsonResponse({ error: "prompt_template ist erforderlich." }, 400);
+  const joinCode = normalizeCode(join_code);
+  const loginCode = normalizeCode(login_code);
+  if (!joinCode || !loginCode) {
+    return jsonResponse({ error: "Kurscode und Zugangscode sind erforderlich." }, 400);
   }
-  if (prompt_template.length > 10000) {
-    return jsonResponse({ error: "prompt_template ist zu lang." }, 400);
+  const limitError = await checkLoginRateLimit(request, env, joinCode);
+  if (limitError) return limitError;
+
+  const courseId = await env.RESULTS_KV.get("course_code:" + joinCode);
+  const studentId = await env.RESULTS_KV.get("login_code:" + loginCode);
+  const student = studentId ? await getJSON(env, "student:" + studentId) : null;
+  const course = courseId && student && student.course_id === courseId ? await getJSON(env, "course:" + courseId) : null;
+  // Same message for both cases so codes cannot be probed one at a time
+  if (!course) {
+    await recordFailedLogin(env, joinCode);
+    return jsonResponse({ error: "Kurscode oder Zugangscode ist falsch." }, 401);
   }
-  if (topic && typeof topic !== "string") {
-    return jsonResponse({ error: "topic muss ein String sein." }, 400);
+
+  const session = {
+    role: "student",
+    student_id: student.id,
+    student_name: student.name,
+    course_id: course.id,
+    course_name: course.name,
+    level: course.level,
+    language: course.language || DEFAULT_LANGUAGE
+  };
+  const token = await createSession(env, session);
+  return jsonResponse({ token, ...publicSession(session) });
+}
+
+async function handleTeacherLogin(request, env) {
+  const { teacher_password } = await request.json();
+
+  if (!env.TEACHER_PASSWORD) {
+    return jsonResponse({ error: "Server-Konfigurationsfehler." }, 500);
   }
-  if (topic && topic.length > 500) {
-    return jsonResponse({ error: "topic ist zu lang (max 500 Zeichen)." }, 400);
+  if (typeof teacher_password !== "string" || teacher_password !== env.TEACHER_PASSWORD) {
+    return jsonResponse({ error: "Falsches Lehrer-Passwort." }, 401);
   }
-  const wordLimit = parseInt(source_len_words) || 600;
-  if (wordLimit < 100 || wordLimit > 2000) {
-    return jsonResponse({ error: "source_len_words muss zwischen 100 und 2000 liegen." }, 400);
+
+  const session = { role: "teacher", session_id: crypto.randomUUID() };
+  const token = await createSession(env, session);
+  return jsonResponse({ token, ...publicSession(session) });
+}
+
+async function createSession(env, session) {
+  const token = crypto.randomUUID();
+  await putJSON(env, "session:" + token, session, { expirationTtl: SESSION_TTL });
+  // Lets removeStudentAccount() end the student's open sessions
+  if (session.student_id) {
+    await env.RESULTS_KV.put(`student_session:${session.student_id}:${token}`, "", { expirationTtl: SESSION_TTL });
   }
+  return token;
+}
 
-  // Replace placeholders that the frontend couldn't resolve
-  const safeTopic = (topic || "").trim();
-  const prompt = prompt_template
-    .replace(/\{topic\}/g, safeTopic)
-    .replace(/\$\{topic\}/g, safeTopic)
-    .replace(/\{length\}/g, String(wordLimit))
-    .replace(/\$\{length\}/g, String(wordLimit));
+// The parts of a session that the browser may see
+function publicSession(session) {
+  if (!session || session.role !== "student") return { role: session?.role || null };
+  return {
+    role: "student",
+    student_id: session.student_id,
+    student_name: session.student_name,
+    course_id: session.course_id,
+    course_name: session.course_name,
+    level: session.level,
+    language: session.language || DEFAULT_LANGUAGE
+  };
+}
 
-  // Dynamic token limit: English text ~1.3 tokens/word + tasks + JSON overhead
-  const wordTarget = source_len_words || 700;
-  const estimatedTokens = Math.round(wordTarget * 1.5) + 1200; // article + tasks + JSON
-  const maxTokens = Math.min(Math.max(estimatedTokens, 2500), 8000); // clamp between 2500-8000
+/* ================= COURSES & STUDENT ACCOUNTS (teacher) ================= */
+async function handleGetCourses(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  const openaiRes = await callOpenAI(env, [
-    {
-      role: "system",
-      content: `You are an Abitur exam generator. Return valid JSON only. No markdown fences. No preamble.
-CRITICAL: The JSON must be valid. All string values must properly escape special characters:
-- Use \\" for quotes inside strings (especially in dialogues and citations)
-- Use \\n for newlines inside strings
-- Do NOT use actual line breaks inside JSON string values
-- Ensure all quotes in dialogue passages are escaped as \\"`
-    },
-    { role: "user", content: prompt }
-  ], maxTokens);
+  const courses = [];
+  for (const key of await listKeys(env, "course:")) {
+    const course = await getJSON(env, key.name);
+    if (!course) continue;
+    const students = (await listKeys(env, "course_student:" + course.id + ":"))
+      .map(k => k.metadata)
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    courses.push({ ...course, language: course.language || DEFAULT_LANGUAGE, students });
+  }
+  courses.sort((a, b) => a.name.localeCompare(b.name));
 
-  const content = extractJSON(openaiRes);
-  return jsonResponse(content);
+  return jsonResponse({ courses });
 }
 
-/* ================= GRADE ================= */
-async function handleGrade(request, env) {
-  const body = await request.json();
-  const { source_text_de, task_en, student_text_en, rubric_prompt } = body;
+async function handleCreateCourse(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  // Input validation
-  if (!source_text_de || typeof source_text_de !== "string") {
-    return jsonResponse({ error: "source_text_de ist erforderlich." }, 400);
+  const { name, level, language = DEFAULT_LANGUAGE } = await request.json();
+  if (!name || typeof name !== "string" || name.trim().length > 50) {
+    return jsonResponse({ error: "Kursname ist erforderlich (max 50 Zeichen)." }, 400);
   }
-  if (!task_en || typeof task_en !== "string") {
-    return jsonResponse({ error: "task_en ist erforderlich." }, 400);
+  if (level !== "gA" && level !== "eA") {
+    return jsonResponse({ error: "level muss gA oder eA sein." }, 400);
   }
-  if (!student_text_en || typeof student_text_en !== "string") {
-    return jsonResponse({ error: "student_text_en ist erforderlich." }, 400);
+  if (!isTargetLanguage(language)) {
+    return jsonResponse({ error: `language muss ${Object.keys(TARGET_LANGUAGES).join(", ")} sein.` }, 400);
   }
-  if (source_text_de.length > 20000 || task_en.length > 5000 || student_text_en.length > 20000) {
-    return jsonResponse({ error: "Eingabetext ist zu lang." }, 400);
+
+  const course = {
+    id: newId(),
+    name: name.trim(),
+    level,
+    language,
+    join_code: await uniqueCode(env, "course_code:", 6),
+    created_at: new Date().toISOString()
+  };
+  await putJSON(env, "course:" + course.id, course);
+  await env.RESULTS_KV.put("course_code:" + course.join_code, course.id);
+
+  return jsonResponse({ course });
+}
+
+async function handleAddStudents(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { course_id, names } = await request.json();
+  const course = typeof course_id === "string" ? await getJSON(env, "course:" + course_id) : null;
+  if (!course) {
+    return jsonResponse({ error: "Kurs nicht gefunden." }, 404);
+  }
+  if (!Array.isArray(names) || !names.length || names.length > 60) {
+    return jsonResponse({ error: "names muss 1–60 Namen enthalten." }, 400);
   }
-  if (rubric_prompt && typeof rubric_prompt === "string" && rubric_prompt.length > 20000) {
-    return jsonResponse({ error: "Bewertungsraster ist zu lang." }, 400);
+  const cleanNames = names.map(n => (typeof n === "string" ? n.trim() : ""));
+  if (cleanNames.some(n => !n || n.length > 200)) {
+    return jsonResponse({ error: "Ungültiger Name (max 200 Zeichen)." }, 400);
   }
 
-  const messages = [
-    {
-      role: "system",
-      content: `You are a strict German Abitur English teacher grading a Sprachmittlung (mediation).
-You must grade using the official ISB Bewertungsraster with Notenpunkte (0-15 NP).
-Return your evaluation in the following JSON format ONLY (no markdown, no extra text):
-{
-  "inhalt_np": <number 0-15>,
-  "sprache_np": <number 0-15>,
-  "gesamt_np": <number 0-15>,
-  "feedback": "<detailed feedback in German with Markdown formatting, citing specific student text passages>"
+  const students = [];
+  for (const name of cleanNames) {
+    const student = {
+      id: newId(),
+      name,
+      course_id: course.id,
+      login_code: await uniqueCode(env, "login_code:", 8),
+      created_at: new Date().toISOString()
+    };
+    await saveStudent(env, student);
+    await env.RESULTS_KV.put("login_code:" + student.login_code, student.id);
+    students.push(student);
+  }
+
+  return jsonResponse({ students });
 }
-CALCULATION: gesamt_np = round(inhalt_np * 0.4 + sprache_np * 0.6)
-SPERRKLAUSEL: If inhalt_np OR sprache_np is 0, gesamt_np must be at most 3.
-IMPORTANT: Return ONLY valid JSON. No markdown fences. No preamble.`
-    },
-    {
-      role: "user",
-      content:
-        `Deutscher Quelltext:\n${source_text_de}\n\n` +
-        `Englische Aufgabenstellung:\n${task_en}\n\n` +
-        `Schülertext (Englisch):\n${student_text_en}\n\n` +
-        `Bewertungsraster:\n${rubric_prompt}`
-    }
-  ];
 
-  const openaiRes = await callOpenAI(env, messages);
+async function handleResetLoginCode(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  // Try to parse structured JSON from response
-  try {
-    const parsed = extractJSON(openaiRes);
+  const { student_id } = await request.json();
+  const student = typeof student_id === "string" ? await getJSON(env, "student:" + student_id) : null;
+  if (!student) {
+    return jsonResponse({ error: "Schüler nicht gefunden." }, 404);
+  }
 
-    const inhalt = parsed.inhalt_np ?? parsed.content_textstructure ?? null;
-    const sprache = parsed.sprache_np ?? parsed.language ?? null;
-    let gesamt = parsed.gesamt_np ?? null;
+  // Invalidates the old code; sessions already issued run out on their own
+  await env.RESULTS_KV.delete("login_code:" + student.login_code);
+  student.login_code = await uniqueCode(env, "login_code:", 8);
+  await saveStudent(env, student);
+  await env.RESULTS_KV.put("login_code:" + student.login_code, student.id);
 
-    // Calculate if not provided
-    if (gesamt == null && inhalt != null && sprache != null) {
-      gesamt = Math.round(inhalt * 0.4 + sprache * 0.6);
-      // Apply Sperrklausel
-      if (inhalt === 0 || sprache === 0) gesamt = Math.min(gesamt, 3);
-    }
+  return jsonResponse({ student });
+}
 
-    return jsonResponse({
-      scores: {
-        content_textstructure: inhalt,
-        language: sprache,
-        total: gesamt
-      },
-      feedback: parsed.feedback || "",
-      corrections: parsed.corrections || ""
-    });
-  } catch {
-    // Fallback: try to extract scores with regex from unstructured text
-    const contentMatch = openaiRes.match(/Inhalt[^:]*:\s*(\d{1,2})\s*(?:\/\s*15|\s*NP)/i)
-      || openaiRes.match(/inhalt_np["\s:]*(\d{1,2})/i);
-    const langMatch = openaiRes.match(/Sprache[^:]*:\s*(\d{1,2})\s*(?:\/\s*15|\s*NP)/i)
-      || openaiRes.match(/sprache_np["\s:]*(\d{1,2})/i);
-    const totalMatch = openaiRes.match(/Gesamt[^:]*:\s*(\d{1,2})\s*(?:\/\s*15|\s*NP)/i)
-      || openaiRes.match(/gesamt_np["\s:]*(\d{1,2})/i);
+// The mebis login (username or e-mail) links the account to the school's
+// Moodle gradebook for the dashboard's grade export
+async function handleUpdateStudent(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-    const contentScore = contentMatch ? Math.min(parseInt(contentMatch[1]), 15) : null;
-    const langScore = langMatch ? Math.min(parseInt(langMatch[1]), 15) : null;
-    let totalScore = totalMatch ? Math.min(parseInt(totalMatch[1]), 15) : null;
+  const { student_id, mebis_id } = await request.json();
+  const student = typeof student_id === "string" ? await getJSON(env, "student:" + student_id) : null;
+  if (!student) {
+    return jsonResponse({ error: "Schüler nicht gefunden." }, 404);
+  }
+  if (mebis_id != null && (typeof mebis_id !== "string" || mebis_id.trim().length > 200)) {
+    return jsonResponse({ error: "Ungültige mebis-Kennung (max 200 Zeichen)." }, 400);
+  }
 
-    if (totalScore == null && contentScore != null && langScore != null) {
-      totalScore = Math.round(contentScore * 0.4 + langScore * 0.6);
-      if (contentScore === 0 || langScore === 0) totalScore = Math.min(totalScore, 3);
-    }
+  student.mebis_id = (mebis_id || "").trim() || null;
+  await saveStudent(env, student);
 
-    return jsonResponse({
-      scores: {
-        content_textstructure: contentScore,
-        language: langScore,
-        total: totalScore
-      },
-      feedback: openaiRes,
-      corrections: ""
-    });
-  }
+  return jsonResponse({ student });
 }
 
-/* ================= OCR ================= */
-async function handleOCR(request, env) {
-  const body = await request.json();
-  const { image_base64 } = body;
+async function handleRemoveStudent(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  if (!image_base64 || typeof image_base64 !== "string") {
-    return jsonResponse({ error: "No image provided" }, 400);
-  }
-  // Validate Base64 format and size (~10 MB limit)
-  if (image_base64.length > 10 * 1024 * 1024) {
-    return jsonResponse({ error: "Bild ist zu groß (max 10 MB)." }, 400);
+  const { student_id } = await request.json();
+  const student = typeof student_id === "string" ? await getJSON(env, "student:" + student_id) : null;
+  if (!student) {
+    return jsonResponse({ error: "Schüler nicht gefunden." }, 404);
   }
 
-  const openaiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${env.OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: "gpt-5.2",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: "Transcribe this handwritten text exactly as written. Preserve line breaks. Do not translate, do not correct errors. Output only the transcribed text."
-            },
-            {
-              type: "image_url",
-              image_url: { url: image_base64 }
-            }
-          ]
-        }
-      ],
-      max_completion_tokens: 2000
-    })
-  });
+  // Large histories take more than one request (see repeatUntilComplete in the dashboard)
+  const complete = await removeStudentAccount(withKVBudget(env), student);
 
-  const data = await openaiRes.json();
+  return jsonResponse({ success: true, complete });
+}
 
-  if (!openaiRes.ok) {
-    throw new Error(data?.error?.message || "OpenAI Vision error");
+// The account and practice history; results stay for the teacher's statistics.
+// Within a KV budget (see withKVBudget) it may stop early and return false; the
+// account record goes last, so calling it again carries on.
+async function removeStudentAccount(env, student) {
+  const sessions = await visitKeys(env, "student_session:" + student.id + ":", async ({ name }) => {
+    if (!hasKVBudget(env, 2)) return false;
+    await env.RESULTS_KV.delete("session:" + name.split(":").pop());
+    await env.RESULTS_KV.delete(name);
+    return true;
+  });
+  if (!sessions.complete || !hasKVBudget(env, 1)) return false;
+  await env.RESULTS_KV.delete("login_code:" + student.login_code);
+  for (const module of RESULT_TYPES) {
+    if (!(await deleteHistory(env, student.id, module))) return false;
   }
+  if (!(await deletePhraseCards(env, student.id))) return false;
+  if (!hasKVBudget(env, 4)) return false;
+  await env.RESULTS_KV.delete("abitur:" + student.id);
+  await env.RESULTS_KV.delete("course_student:" + student.course_id + ":" + student.id);
+  await env.RESULTS_KV.delete("deletion_request:" + student.id);
+  await env.RESULTS_KV.delete("student:" + student.id);
+  return true;
+}
 
-  const text = data?.choices?.[0]?.message?.content || "";
-  return jsonResponse({ text });
+// Students are stored once by id, plus a per-course index key whose metadata
+// carries what the dashboard needs to list the course without extra reads.
+async function saveStudent(env, student) {
+  await putJSON(env, "student:" + student.id, student);
+  await env.RESULTS_KV.put("course_student:" + student.course_id + ":" + student.id, "", {
+    metadata: { id: student.id, name: student.name, login_code: student.login_code, mebis_id: student.mebis_id || null }
+  });
 }
 
-/* ================= PARSE TASK (from uploaded images) ================= */
-async function handleParseTask(request, env) {
-  const body = await request.json();
-  const { images } = body; // array of base64 image strings
+/* ================= ASSIGNMENTS ================= */
+// A teacher publishes one exam to a course under a share code. Students of that
+// course open it by code, and their results carry the assignment id so the
+// dashboard can compare the whole course on the same task.
+//   assignment:<id>                       full record including the exam
+//   assignment_code:<CODE>                -> assignment id
+//   course_assignment:<course_id>:<id>    list index, metadata = summary
+//   assignment_start:<id>:<student_id>    when the student first opened it
+const EXAM_FIELDS = [
+  "headline", "source_info", "article_text", "task_instruction",
+  "task_1", "task_2", "task_3_1_quote", "task_3_1", "task_3_2_situation", "task_3_2"
+];
+const MAX_TIME_LIMIT = 300;            // minutes
+const LATE_GRACE_MS = 5 * 60 * 1000;   // time for grading and upload after the limit
 
-  if (!images || !Array.isArray(images) || !images.length) {
-    return jsonResponse({ error: "No images provided" }, 400);
+async function handleCreateAssignment(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { course_id, type, title, exam, deadline, time_limit, prompt_version } = await request.json();
+  const course = typeof course_id === "string" ? await getJSON(env, "course:" + course_id) : null;
+  if (!course) {
+    return jsonResponse({ error: "Kurs nicht gefunden." }, 404);
   }
-  if (images.length > 10) {
-    return jsonResponse({ error: "Maximal 10 Bilder erlaubt." }, 400);
+  if (!RESULT_TYPES.includes(type)) {
+    return jsonResponse({ error: "Ungültiger Übungstyp." }, 400);
   }
-  // Validate each image
-  for (const img of images) {
-    if (typeof img !== "string" || img.length > 10 * 1024 * 1024) {
-      return jsonResponse({ error: "Ein Bild ist ungültig oder zu groß (max 10 MB)." }, 400);
-    }
+  if (!title || typeof title !== "string" || title.trim().length > 200) {
+    return jsonResponse({ error: "Titel ist erforderlich (max 200 Zeichen)." }, 400);
+  }
+  const cleanExam = cleanExamFields(exam);
+  if (cleanExam.error) {
+    return jsonResponse({ error: cleanExam.error }, 400);
+  }
+  if (deadline != null && (!isValidDate(deadline) || Date.parse(deadline) <= Date.now())) {
+    return jsonResponse({ error: "deadline muss in der Zukunft liegen." }, 400);
+  }
+  if (time_limit != null && (!Number.isInteger(time_limit) || time_limit < 5 || time_limit > MAX_TIME_LIMIT)) {
+    return jsonResponse({ error: `time_limit muss zwischen 5 und ${MAX_TIME_LIMIT} Minuten liegen.` }, 400);
+  }
+  if (prompt_version != null && !isKnownPromptTag(prompt_version)) {
+    return jsonResponse({ error: "Ungültige prompt_version." }, 400);
   }
 
-  // Build content array with all images
-  const content = [
-    {
-      type: "text",
-      text: `You are looking at scanned pages of a German Abitur English mediation exam task.
-Extract the following information and return it as JSON ONLY (no markdown fences, no extra text):
+  const assignment = {
+    id: newId(),
+    code: await uniqueCode(env, "assignment_code:", 6),
+    course_id: course.id,
+    type,
+    title: title.trim(),
+    exam: cleanExam,
+    deadline: deadline ? new Date(deadline).toISOString() : null,
+    time_limit: time_limit ?? null,
+    prompt_version: prompt_version || null,
+    created_at: new Date().toISOString()
+  };
+  await putJSON(env, "assignment:" + assignment.id, assignment);
+  await env.RESULTS_KV.put("assignment_code:" + assignment.code, assignment.id);
+  await env.RESULTS_KV.put("course_assignment:" + course.id + ":" + assignment.id, "", {
+    metadata: assignmentSummary(assignment)
+  });
 
-{
-  "headline": "Title or topic of the German source text (if visible)",
-  "article_text": "The complete German source text, transcribed exactly as written. Preserve paragraphs.",
-  "task_instruction": "The complete English mediation task/instructions, transcribed exactly as written."
+  return jsonResponse({ assignment });
 }
 
-Rules:
-- Transcribe the German text and English task EXACTLY as they appear. Do not translate or modify.
-- If the text spans multiple pages/images, combine them in the correct order.
-- Preserve paragraph breaks.
-- If you cannot find a German source text or English task, set that field to an empty string.
-- Return ONLY valid JSON.`
-    }
-  ];
+async function handleGetAssignments(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  for (const img of images) {
-    content.push({
-      type: "image_url",
-      image_url: { url: img }
-    });
+  const { course_id } = await request.json();
+  if (course_id != null && (typeof course_id !== "string" || course_id.length > 100)) {
+    return jsonResponse({ error: "Ungültige course_id." }, 400);
   }
 
-  const openaiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${env.OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: "gpt-5.2",
-      messages: [{ role: "user", content }],
-      max_completion_tokens: 4000,
-      temperature: 0.2
-    })
-  });
+  const assignments = (await listKeys(env, "course_assignment:" + (course_id ? course_id + ":" : "")))
+    .map(k => k.metadata)
+    .filter(Boolean)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return jsonResponse({ assignments });
+}
 
-  const data = await openaiRes.json();
+// Results that were submitted for the assignment are kept
+async function handleDeleteAssignment(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  if (!openaiRes.ok) {
-    throw new Error(data?.error?.message || "OpenAI Vision error");
+  const { assignment_id } = await request.json();
+  const assignment = typeof assignment_id === "string" ? await getJSON(env, "assignment:" + assignment_id) : null;
+  if (!assignment) {
+    return jsonResponse({ error: "Aufgabe nicht gefunden." }, 404);
   }
 
-  const text = data?.choices?.[0]?.message?.content || "";
-  const parsed = extractJSON(text);
-  return jsonResponse(parsed);
+  await deleteAssignment(env, assignment);
+
+  return jsonResponse({ success: true });
 }
 
-/* ================= MODEL ANSWER ================= */
-async function handleModelAnswer(request, env) {
-  const { source_text_de, task_en } = await request.json();
+async function deleteAssignment(env, assignment) {
+  const starts = await listKeys(env, "assignment_start:" + assignment.id + ":");
+  await Promise.all(starts.map(k => env.RESULTS_KV.delete(k.name)));
+  await env.RESULTS_KV.delete("assignment_code:" + assignment.code);
+  await env.RESULTS_KV.delete("course_assignment:" + assignment.course_id + ":" + assignment.id);
+  await env.RESULTS_KV.delete("assignment:" + assignment.id);
+}
 
-  if (!source_text_de || typeof source_text_de !== "string") {
-    return jsonResponse({ error: "source_text_de ist erforderlich." }, 400);
+async function handleOpenAssignment(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { code } = await request.json();
+  const assignmentCode = normalizeCode(code);
+  const assignmentId = assignmentCode ? await env.RESULTS_KV.get("assignment_code:" + assignmentCode) : null;
+  const assignment = assignmentId ? await getJSON(env, "assignment:" + assignmentId) : null;
+  // Codes of other courses look exactly like unknown codes
+  if (!assignment || assignment.course_id !== session.course_id) {
+    return jsonResponse({ error: "Aufgabencode ist ungültig." }, 404);
   }
-  if (!task_en || typeof task_en !== "string") {
-    return jsonResponse({ error: "task_en ist erforderlich." }, 400);
+  if (assignment.deadline && Date.parse(assignment.deadline) < Date.now()) {
+    return jsonResponse({ error: "Die Abgabefrist für diese Aufgabe ist abgelaufen." }, 403);
   }
-  if (source_text_de.length > 20000 || task_en.length > 5000) {
-    return jsonResponse({ error: "Eingabetext ist zu lang." }, 400);
+
+  // The time limit runs from the first opening, also across reloads and devices
+  const startKey = "assignment_start:" + assignment.id + ":" + session.student_id;
+  let startedAt = await env.RESULTS_KV.get(startKey);
+  if (!startedAt) {
+    startedAt = new Date().toISOString();
+    await env.RESULTS_KV.put(startKey, startedAt);
   }
 
-  const systemPrompt = `Du bist ein sehr guter Oberstufenschüler (Niveau B2/C1) an einem bayerischen Gymnasium. 
-Schreibe eine Musterlösung für die folgende Mediation-Aufgabe.
+  return jsonResponse({ assignment: { ...assignmentSummary(assignment), exam: assignment.exam, started_at: startedAt } });
+}
 
-WICHTIGE REGELN:
-- Schreibe auf ENGLISCH.
-- Halte dich genau an die Aufgabenstellung (Textsorte, Adressat, geforderte Inhalte).
+// Whether a submission for the assignment is past the deadline or the time limit
+async function isLateSubmission(env, assignment, studentId) {
+  const now = Date.now();
+  if (assignment.deadline && now > Date.parse(assignment.deadline) + LATE_GRACE_MS) return true;
+  if (!assignment.time_limit) return false;
+  const startedAt = await env.RESULTS_KV.get("assignment_start:" + assignment.id + ":" + studentId);
+  return !startedAt || now > Date.parse(startedAt) + assignment.time_limit * 60000 + LATE_GRACE_MS;
+}
+
+// The known exam fields, trimmed. Returns the clean exam or { error }.
+function cleanExamFields(exam) {
+  if (!exam || typeof exam !== "object") {
+    return { error: "exam ist erforderlich." };
+  }
+  const cleanExam = {};
+  for (const field of EXAM_FIELDS) {
+    const value = exam[field];
+    if (value == null || value === "") continue;
+    if (typeof value !== "string" || value.length > 20000) {
+      return { error: `Ungültiges Feld in exam: ${field}.` };
+    }
+    cleanExam[field] = value.trim();
+  }
+  if (!cleanExam.article_text || !(cleanExam.task_instruction || cleanExam.task_1)) {
+    return { error: "Die Aufgabe braucht einen Text und eine Aufgabenstellung." };
+  }
+  return cleanExam;
+}
+
+function assignmentSummary(assignment) {
+  return {
+    id: assignment.id,
+    code: assignment.code,
+    course_id: assignment.course_id,
+    type: assignment.type,
+    title: assignment.title,
+    deadline: assignment.deadline,
+    time_limit: assignment.time_limit,
+    prompt_version: assignment.prompt_version,
+    created_at: assignment.created_at
+  };
+}
+
+/* ================= EXAM LIBRARY ================= */
+// Every generated or uploaded exam is kept, so a paid-for task can be used
+// again. New entries are "pending"; students only see entries a teacher has
+// "approved", and "hidden" ones are kept out of sight for everybody but teachers.
+//   library:<id>        full entry including the exam
+//   library_idx:<id>    list index, metadata = libraryEntrySummary()
+const LIBRARY_STATUSES = ["pending", "approved", "hidden"];
+
+function libraryEntrySummary(entry) {
+  // KV metadata is limited to 1 KB
+  return {
+    id: entry.id,
+    type: entry.type,
+    title: entry.title.slice(0, 120),
+    topic: (entry.topic || "").slice(0, 120),
+    level: entry.level,
+    language: entry.language || DEFAULT_LANGUAGE,
+    texttype: entry.texttype,
+    word_count: entry.word_count,
+    source: entry.source,
+    status: entry.status,
+    created_at: entry.created_at
+  };
+}
+
+async function saveLibraryEntry(env, entry) {
+  await putJSON(env, "library:" + entry.id, entry);
+  await env.RESULTS_KV.put("library_idx:" + entry.id, "", { metadata: libraryEntrySummary(entry) });
+}
+
+// Called by /api/generate and /api/parse-task; returns the new entry id
+async function addToLibrary(env, { type, exam, topic, level, language, texttype, source, prompt_version }) {
+  const cleanExam = cleanExamFields(exam);
+  if (cleanExam.error) return null; // nothing worth keeping
+  const entry = {
+    id: newId(),
+    type,
+    title: cleanExam.headline || topic || "Ohne Titel",
+    topic: topic || "",
+    level: level || null,
+    language: language || DEFAULT_LANGUAGE,
+    texttype: texttype || null,
+    word_count: countWords(cleanExam.article_text),
+    source,
+    status: "pending",
+    exam: cleanExam,
+    prompt_version: prompt_version || null,
+    created_at: new Date().toISOString()
+  };
+  await saveLibraryEntry(env, entry);
+  return entry.id;
+}
+
+// Teachers get every entry (optionally filtered), students the approved ones
+// in their course's language
+async function handleGetLibrary(request, env, session) {
+  const { type, status, language } = await request.json();
+  if (type != null && !RESULT_TYPES.includes(type)) {
+    return jsonResponse({ error: "Ungültiger Übungstyp." }, 400);
+  }
+  if (status != null && !LIBRARY_STATUSES.includes(status)) {
+    return jsonResponse({ error: "Ungültiger Status." }, 400);
+  }
+  if (language != null && !isTargetLanguage(language)) {
+    return jsonResponse({ error: "Ungültige Sprache." }, 400);
+  }
+  const teacher = session.role === "teacher";
+  const wanted = teacher ? status : "approved";
+  const wantedLanguage = teacher ? language : session.language || DEFAULT_LANGUAGE;
+
+  const entries = (await listKeys(env, "library_idx:"))
+    .map(k => k.metadata)
+    .filter(e => e && (!type || e.type === type) && (!wanted || e.status === wanted)
+      && (!wantedLanguage || (e.language || DEFAULT_LANGUAGE) === wantedLanguage))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return jsonResponse({ entries });
+}
+
+async function handleGetLibraryEntry(request, env, session) {
+  const { id } = await request.json();
+  const entry = typeof id === "string" ? await getJSON(env, "library:" + id) : null;
+  if (!entry || (session.role !== "teacher" && entry.status !== "approved")) {
+    return jsonResponse({ error: "Aufgabe nicht gefunden." }, 404);
+  }
+  return jsonResponse({ entry });
+}
+
+// Teacher: change status and/or title, topic and exam text of an entry
+async function handleUpdateLibraryEntry(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { id, status, title, topic, level, exam } = await request.json();
+  const entry = typeof id === "string" ? await getJSON(env, "library:" + id) : null;
+  if (!entry) {
+    return jsonResponse({ error: "Aufgabe nicht gefunden." }, 404);
+  }
+  if (status != null) {
+    if (!LIBRARY_STATUSES.includes(status)) {
+      return jsonResponse({ error: "Ungültiger Status." }, 400);
+    }
+    entry.status = status;
+  }
+  if (title != null) {
+    if (typeof title !== "string" || !title.trim() || title.trim().length > 200) {
+      return jsonResponse({ error: "Titel ist erforderlich (max 200 Zeichen)." }, 400);
+    }
+    entry.title = title.trim();
+  }
+  if (topic != null) {
+    if (typeof topic !== "string" || topic.length > 200) {
+      return jsonResponse({ error: "topic ist zu lang (max 200 Zeichen)." }, 400);
+    }
+    entry.topic = topic.trim();
+  }
+  if (level != null) {
+    if (!Object.hasOwn(LEVEL_LABELS, level)) {
+      return jsonResponse({ error: "level muss gA oder eA sein." }, 400);
+    }
+    entry.level = level;
+  }
+  if (exam != null) {
+    const cleanExam = cleanExamFields(exam);
+    if (cleanExam.error) {
+      return jsonResponse({ error: cleanExam.error }, 400);
+    }
+    entry.exam = cleanExam;
+    entry.word_count = countWords(cleanExam.article_text);
+  }
+  entry.updated_at = new Date().toISOString();
+  await saveLibraryEntry(env, entry);
+
+  return jsonResponse({ entry });
+}
+
+/* ================= TARGET LANGUAGES ================= */
+// Mediation goes from German into the target language; source texts and tasks
+// of the Textproduktion are in the target language. Generation, grading, model
+// answers and OCR take `target_language`; without it the language of the
+// student's course applies (English for courses created before there was a
+// choice). Prompts name the language through placeholders, see languageParams().
+const TARGET_LANGUAGES = {
+  en: {
+    label: "Englisch",
+    name: "English",
+    examples: {
+      mediation_task: "You are volunteering at Exmoor National Park, which was designated the first 'International Dark Sky Reserve' in Europe in 2011. All the international volunteers have been asked to present the role light at night plays in their home country on the park's website. Write an article on how light affects people and the natural world at night in Germany and what measures are being taken or considered to reduce light pollution.",
+      task_start: "Write a/an [Textsorte] on ...",
+      source_info: "Sarah Mitchell, The Guardian, 15.03.2025",
+      fiction_info: "Emma Whitfield, The Glass Between Us, 2023",
+      fiction_context: "The following passage is set in ...",
+      outline_article: "Outline the main arguments presented in the article and the author's stance on [Thema].",
+      outline_fiction: "Outline what the reader learns about [Figur] and [his/her] state of mind.",
+      analyse_article: "Analyse the writer's attitude. Focus on the use of language.",
+      analyse_fiction: "Analyse how the setting is used to create atmosphere. Focus on the author's use of language.",
+      comment: "Taking the quotation as a starting point, assess/discuss ...",
+      create: "Write a/an [Textsorte] in which you ..."
+    }
+  },
+  fr: {
+    label: "Französisch",
+    name: "French",
+    examples: {
+      mediation_task: "Vous participez à un échange avec un lycée de Lyon. Le journal en ligne du lycée publie chaque mois des contributions d'élèves étrangers sur l'actualité de leur pays. Rédigez un article sur les effets de la lumière artificielle sur les hommes et la nature en Allemagne et sur les mesures prises ou envisagées pour réduire la pollution lumineuse.",
+      task_start: "Rédigez un/une [type de texte] sur ...",
+      source_info: "Claire Dubois, Le Monde, 15.03.2025",
+      fiction_info: "Julien Morel, Les Heures blanches, 2023",
+      fiction_context: "Le passage suivant se déroule ...",
+      outline_article: "Présentez les principaux arguments de l'article et la position de l'auteur sur [Thema].",
+      outline_fiction: "Présentez ce que le lecteur apprend sur [Figur] et son état d'esprit.",
+      analyse_article: "Analysez l'attitude de l'auteur en vous appuyant sur son utilisation de la langue.",
+      analyse_fiction: "Analysez comment le cadre crée une atmosphère. Appuyez-vous sur le style de l'auteur.",
+      comment: "En partant de cette citation, commentez / discutez ...",
+      create: "Rédigez un/une [type de texte] dans lequel/laquelle vous ..."
+    }
+  },
+  es: {
+    label: "Spanisch",
+    name: "Spanish",
+    examples: {
+      mediation_task: "Participas en un intercambio con un instituto de Salamanca. La revista digital del instituto publica cada mes textos de alumnos extranjeros sobre la actualidad de sus países. Escribe un artículo sobre cómo afecta la luz artificial a las personas y a la naturaleza en Alemania y qué medidas se están tomando o considerando para reducir la contaminación lumínica.",
+      task_start: "Escribe un/una [tipo de texto] sobre ...",
+      source_info: "Lucía Fernández, El País, 15.03.2025",
+      fiction_info: "Marta Olivares, La casa del viento, 2023",
+      fiction_context: "El siguiente fragmento transcurre en ...",
+      outline_article: "Resume los argumentos principales del artículo y la postura del autor sobre [Thema].",
+      outline_fiction: "Resume lo que el lector descubre sobre [Figur] y su estado de ánimo.",
+      analyse_article: "Analiza la actitud del autor. Céntrate en el uso del lenguaje.",
+      analyse_fiction: "Analiza cómo el escenario crea una atmósfera. Céntrate en el lenguaje del autor.",
+      comment: "Partiendo de esta cita, comenta / discute ...",
+      create: "Escribe un/una [tipo de texto] en el/la que ..."
+    }
+  }
+};
+const DEFAULT_LANGUAGE = "en";
+const LANGUAGE_ERROR = `target_language muss ${Object.keys(TARGET_LANGUAGES).join(", ")} sein.`;
+
+function isTargetLanguage(code) {
+  return typeof code === "string" && Object.hasOwn(TARGET_LANGUAGES, code);
+}
+
+// The requested language, else the course's; null for unknown codes
+function requestLanguage(body, session) {
+  const code = body?.target_language ?? session?.language ?? DEFAULT_LANGUAGE;
+  return isTargetLanguage(code) ? code : null;
+}
+
+// Placeholders for prompts: {language} (German name, "Französisch"),
+// {language_name} (English name, "French") and the task examples
+function languageParams(code) {
+  const language = TARGET_LANGUAGES[code];
+  return { language: language.label, language_name: language.name, ...language.examples };
+}
+
+// A prompt text in one language; published English versions keep their exact text
+function inLanguage(text, code) {
+  return fillTemplate(text, languageParams(code));
+}
+
+/* ================= PROMPT REGISTRY ================= */
+// All model prompts live here, server-side. Clients only name a template and
+// pass structured parameters. Published versions are never edited: change a
+// prompt by adding the next version number, so the "<id>@<version>" tag stored
+// with each result keeps pointing at the exact text that produced it.
+const EXAM_SYSTEM_PROMPT = `You are an Abitur exam generator. Return valid JSON only. No markdown fences. No preamble.
+CRITICAL: The JSON must be valid. All string values must properly escape special characters:
+- Use \\" for quotes inside strings (especially in dialogues and citations)
+- Use \\n for newlines inside strings
+- Do NOT use actual line breaks inside JSON string values
+- Ensure all quotes in dialogue passages are escaped as \\"`;
+
+// ISB Bewertungsraster shared by all versions of a grading prompt; the versions
+// differ in the output format they ask for. Texts with {language} placeholders
+// are filled per request (see "TARGET LANGUAGES"); the versions from before
+// there was a choice use them in English.
+const MEDIATION_RUBRIC = `Rolle: Du bist ein erfahrener und strenger {language}lehrer an einem bayerischen Gymnasium. Du bewertest eine Sprachmittlung (Mediation) nach dem offiziellen ISB-Bewertungsraster für die Profil- und Leistungsstufe / Abiturprüfung (Stand: Juni 2024).
+
+BEWERTUNGSSYSTEM:
+- Inhalt und Textstruktur: 0–15 Notenpunkte (Gewichtung 40%)
+- Sprache: 0–15 Notenpunkte (Gewichtung 60%)
+- Gesamtnote: gewichteter Durchschnitt, gerundet auf ganze Notenpunkte (0–15 NP)
+
+SPERRKLAUSEL: Eine ungenügende sprachliche ODER inhaltliche Leistung (0 NP) schließt eine Gesamtnote von mehr als 3 Notenpunkten aus.
+
+=== INHALT UND TEXTSTRUKTUR (40%) ===
+
+15–13 NP (Note 1):
+- Aufgabenstellung vollumfänglich erfüllt, Textart sowie Situations- und Adressatenbezug durchgehend überzeugend umgesetzt
+- durchgängig kohärente, klar strukturierte und sehr überzeugende Darstellung aller relevanten Informationen, ggf. durchgängig relevante und verständliche kulturspezifische Erläuterungen
+- geschickte Anwendung geeigneter Umschreibungsstrategien
+
+12–10 NP (Note 2):
+- Aufgabenstellung nahezu vollständig erfüllt, Textart sowie Situations- und Adressatenbezug meist überzeugend umgesetzt
+- überwiegend kohärente, strukturierte und überzeugende Darstellung, ggf. meist relevante und verständliche kulturspezifische Erläuterungen; vereinzelte inhaltliche Lücken fallen nicht ins Gewicht
+- meist geschickte Anwendung geeigneter Umschreibungsstrategien
+
+09–07 NP (Note 3):
+- Aufgabenstellung im Großen und Ganzen erfüllt, Textart sowie Situations- und Adressatenbezug in weiten Teilen überzeugend umgesetzt
+- in der Regel kohärente, strukturierte und nachvollziehbare Darstellung, ggf. in weiten Teilen relevante und verständliche kulturspezifische Erläuterungen; einzelne inhaltliche Lücken sind vorhanden
+- im Allgemeinen geschickte Anwendung geeigneter Umschreibungsstrategien
+
+06–04 NP (Note 4):
+- Aufgabenstellung insgesamt noch erfüllt, Textart sowie Situations- und Adressatenbezug mit Abstrichen insgesamt noch sachgerecht umgesetzt
+- ansatzweise kohärente, strukturierte und noch nachvollziehbare Darstellung, ggf. insgesamt noch relevante und verständliche kulturspezifische Erläuterungen; mehrere inhaltliche Lücken sind vorhanden
+- eingeschränkte oder nicht immer passende Anwendung von Umschreibungsstrategien
+
+03–01 NP (Note 5):
+- Aufgabenstellung kaum mehr erfüllt, Textart sowie Situations- und Adressatenbezug kaum noch sachgerecht umgesetzt
+- weitgehend inkohärente, unstrukturierte und wiederholt nicht nachvollziehbare und lückenhafte Darstellung, ggf. kaum noch relevante und verständliche kulturspezifische Erläuterungen; größere inhaltliche Lücken sind vorhanden
+- deutlich eingeschränkte oder häufig nicht passende Anwendung von Umschreibungsstrategien
+
+00 NP (Note 6):
+- Aufgabenstellung nicht erfüllt, Textart sowie Situations- und Adressatenbezug nicht umgesetzt
+- inkohärente, unstrukturierte und nicht nachvollziehbare Darstellung, kaum wesentliche Informationen
+- keine Umschreibungsstrategien
+
+=== SPRACHE (60%) ===
+
+15–13 NP (Note 1):
+- lexikalisch, grammatisch/syntaktisch und orthographisch in hohem Maß korrekt
+- durchgehend eigenständige Formulierungen
+- besonders präzise, differenzierte und idiomatische Wortwahl
+- durchgängig variabler und funktionaler Satzbau unter angemessener Verwendung komplexer Strukturen
+- durchgängig sichere und abwechslungsreiche Verwendung eines breiten Spektrums textstrukturierender Mittel
+
+12–10 NP (Note 2):
+- lexikalisch, grammatisch/syntaktisch und orthographisch überwiegend korrekt, keine Beeinträchtigung der Verständlichkeit
+- meist eigenständige Formulierungen
+- präzise, meist differenzierte und idiomatische Wortwahl
+- meist variabler und funktionaler Satzbau unter überwiegend angemessener Verwendung komplexer Strukturen
+- meist sichere und abwechslungsreiche Verwendung eines breiten Spektrums textstrukturierender Mittel
+
+09–07 NP (Note 3):
+- im Wesentlichen lexikalisch, grammatisch/syntaktisch und orthographisch korrekt, Verständlichkeit geringfügig eingeschränkt
+- teilweise eigenständige Formulierungen
+- treffende, im Allgemeinen differenzierte Wortwahl
+- teilweise variabler und funktionaler Satzbau, im Großen und Ganzen angemessene Verwendung komplexer Strukturen
+- im Allgemeinen sichere, aber wenig abwechslungsreiche Verwendung textstrukturierender Mittel
+
+06–04 NP (Note 4):
+- lexikalische, grammatische/syntaktische und orthographische Verstöße gegen die Sprachrichtigkeit, die Verständlichkeit ist stellenweise beeinträchtigt
+- noch eigenständige Anteile in den Formulierungen
+- noch angemessene Wortwahl, eingeschränkter Wortschatz
+- wenig variabler, aber für die Darstellung noch angemessener Satzbau, seltene oder fehlerhafte Verwendung komplexer Strukturen
+- wenig abwechslungsreiche Verwendung textstrukturierender Mittel
+
+03–01 NP (Note 5):
+- Häufung lexikalischer, grammatischer/syntaktischer und orthographischer Verstöße, die Verständlichkeit ist insgesamt stark beeinträchtigt
+- kaum eigenständige Formulierungen
+- deutlich eingeschränkter Wortschatz
+- sehr einfacher, teilweise sprachuntypischer Satzbau
+- kaum textstrukturierende Mittel
+
+00 NP (Note 6):
+- Häufung elementarer Verstöße, die Verständlichkeit ist nicht mehr gegeben
+- keine eigenständigen Formulierungen
+- keine angemessene Wortwahl, erhebliche Wortschatzlücken
+- nur einfachste Satzmuster bzw. sprachuntypischer Satzbau
+- keine textstrukturierenden Mittel
+
+=== GESAMTNOTE BERECHNEN ===
+Gesamtnotenpunkte = runde(Inhalt_NP × 0.4 + Sprache_NP × 0.6)
+Beachte die Sperrklausel: Wenn Inhalt ODER Sprache = 0 NP → Gesamt maximal 3 NP.
+`;
+
+const WRITING_RUBRIC = `Rolle: Du bist ein erfahrener und strenger {language}lehrer an einem bayerischen Gymnasium. Du bewertest eine Textproduktion (Schreiben) nach dem offiziellen ISB-Bewertungsraster (Stand: Juni 2024).
+
+BEWERTUNGSSYSTEM:
+- Inhalt und Textstruktur: 0-15 Notenpunkte (Gewichtung 40%)
+- Sprache: 0-15 Notenpunkte (Gewichtung 60%)
+- Gesamtnote: gewichteter Durchschnitt, gerundet (0-15 NP)
+- SPERRKLAUSEL: Inhalt ODER Sprache = 0 NP -> Gesamt max. 3 NP.
+
+=== WICHTIG: WÄHLE DAS RICHTIGE INHALTSRASTER JE NACH AUFGABENTYP ===
+
+Wenn der Schüler Aufgabe 1 (Outline) oder Aufgabe 2 (Analyse) bearbeitet hat, verwende RASTER A.
+Wenn der Schüler Aufgabe 3.1 (Stellungnahme) oder 3.2 (Gestaltendes Schreiben) bearbeitet hat, verwende RASTER B.
+Falls der Schüler mehrere Aufgaben bearbeitet hat, bewerte jede nach dem passenden Raster und bilde einen Gesamteindruck.
+
+=== RASTER A: TEXTVERSTEHEN UND TEXTANALYSE – Inhalt (40%) ===
+(Für Aufgabe 1: Outline und Aufgabe 2: Analyse)
+
+15-13 NP: Aufgabenstellung vollumfänglich erfüllt, Textaussage vollumfänglich erfasst. Durchgehend text- und sachbezogene, differenzierte Umsetzung. Durchgängig kohärente, klar strukturierte und sehr überzeugende Darstellung.
+
+12-10 NP: Nahezu vollständig erfüllt, Textaussage erfasst; vereinzelte Lücken fallen nicht ins Gewicht. Meist text- und sachbezogene, differenzierte Umsetzung. Meist kohärente, strukturierte und überzeugende Darstellung.
+
+09-07 NP: Im Großen und Ganzen erfüllt, Textaussage im Allgemeinen erfasst; einzelne Lücken vorhanden. In weiten Teilen text- und sachbezogen, differenziert. Weitgehend kohärent, im Großen und Ganzen überzeugend.
+
+06-04 NP: Insgesamt noch erfüllt, Textaussage insgesamt noch erfasst; mehrere Lücken vorhanden. Mit Abstrichen noch text- und sachbezogen. Ansatzweise kohärent, nur teilweise überzeugend.
+
+03-01 NP: Kaum mehr erfüllt und/oder Textaussage kaum mehr erfasst; größere Lücken. Kaum noch text- und sachbezogen. Kaum kohärent, in weiten Teilen unstrukturiert.
+
+00 NP: Nicht erfüllt und/oder Textaussage nicht erfasst. Keine text- und sachbezogene Umsetzung. Inkohärent, unstrukturiert, nicht nachvollziehbar.
+
+=== RASTER B: PERSÖNLICHE STELLUNGNAHME / GESTALTENDES SCHREIBEN – Inhalt (40%) ===
+(Für Aufgabe 3.1 und 3.2)
+
+15-13 NP: Aufgabenstellung vollumfänglich erfüllt. Durchgehend sachgerechte, differenzierte und ideenreiche Umsetzung. Textart/Textsorte vollumfänglich erfüllt, durchgängig treffender Situations-/Adressatenbezug. Durchgängig kohärente, klar strukturierte und sehr überzeugende Darstellung.
+
+12-10 NP: Nahezu vollständig erfüllt. Meist sachgerechte, differenzierte und ideenreiche Umsetzung. Textart nahezu vollständig erfüllt, weitgehend treffender Bezug. Meist kohärente, überzeugende Darstellung.
+
+09-07 NP: Im Großen und Ganzen erfüllt. In weiten Teilen sachgerecht, allenfalls leichte Abweichungen. Textart im Wesentlichen erfüllt. Weitgehend kohärent und im Großen und Ganzen überzeugend.
+
+06-04 NP: Insgesamt noch erfüllt. Mit Abstrichen noch sachgerecht, vereinzelte Abweichungen. Textart mit Abstrichen noch erfüllt, ansatzweise Bezug. Ansatzweise kohärent, nur teilweise überzeugend.
+
+03-01 NP: Kaum mehr erfüllt. Kaum sachgerecht, mehrfache Abweichungen. Textart kaum erfüllt, fehlerhafter Bezug. Kaum kohärent, in weiten Teilen unstrukturiert.
+
+00 NP: Nicht erfüllt. Themaverfehlung. Textart nicht erfüllt. Inkohärent, unstrukturiert, nicht nachvollziehbar.
+
+=== SPRACHE (60%) ===
+
+15-13 NP: Lexikalisch, grammatisch, orthographisch in hohem Maß korrekt. Durchgehend eigenständige Formulierungen. Besonders präzise, differenzierte, idiomatische Wortwahl. Durchgängig variabler, funktionaler Satzbau mit komplexen Strukturen. Breites Spektrum textstrukturierender Mittel.
+
+12-10 NP: Überwiegend korrekt, keine Beeinträchtigung der Verständlichkeit. Meist eigenständig. Präzise, meist differenziert und idiomatisch. Meist variabel mit überwiegend angemessenen komplexen Strukturen.
+
+09-07 NP: Im Wesentlichen korrekt, Verständlichkeit geringfügig eingeschränkt. Teilweise eigenständig. Treffend, im Allgemeinen differenziert. Teilweise variabel, im Großen und Ganzen angemessen komplex.
+
+06-04 NP: Verstöße gegen Sprachrichtigkeit, Verständlichkeit stellenweise beeinträchtigt. Noch eigenständige Anteile. Noch angemessene Wortwahl, eingeschränkter Wortschatz. Wenig variabel, seltene komplexe Strukturen.
+
+03-01 NP: Häufung von Verstößen, Verständlichkeit stark beeinträchtigt. Kaum eigenständig. Deutlich eingeschränkter Wortschatz. Sehr einfacher, teilweise sprachuntypischer Satzbau.
+
+00 NP: Häufung elementarer Verstöße, Verständlichkeit nicht mehr gegeben. Keine eigenständigen Formulierungen. Erhebliche Wortschatzlücken. Einfachste Satzmuster.
+`;
+
+// Output format of mediation-grade since version 2 (with annotations)
+const MEDIATION_GRADE_SYSTEM = `You are a strict German Abitur English teacher grading a Sprachmittlung (mediation).
+You must grade using the official ISB Bewertungsraster with Notenpunkte (0-15 NP).
+Return your evaluation in the following JSON format ONLY (no markdown, no extra text):
+{
+  "inhalt_np": <number 0-15>,
+  "sprache_np": <number 0-15>,
+  "gesamt_np": <number 0-15>,
+  "annotations": [
+    { "quote": "<exact passage from the student text>", "category": "<category>", "correction": "<suggested correction>", "explanation": "<one short sentence in German>" }
+  ],
+  "feedback": "<summary feedback in German with Markdown formatting>"
+}
+CALCULATION: gesamt_np = round(inhalt_np * 0.4 + sprache_np * 0.6)
+SPERRKLAUSEL: If inhalt_np OR sprache_np is 0, gesamt_np must be at most 3.
+ANNOTATIONS: one entry per error, in the order they appear in the student text.
+- "quote" must be copied character for character from the student text. Keep it short: the faulty word or phrase, never more than one sentence.
+- "category" is exactly one of:
+  grammar              tense, agreement, word order, articles, spelling, punctuation
+  vocabulary           wrong or imprecise word, collocation, false friend
+  register             style not suited to the text type or addressee
+  mediation_strategy   unsuitable paraphrase, missing explanation for the target reader, irrelevant detail
+  literal_translation  German wording or structure carried over word for word
+  missing_content      a relevant point of the source text is missing; set "quote" to "" and name the point in "correction"
+IMPORTANT: Return ONLY valid JSON. No markdown fences. No preamble.`;
+
+// Since version 4 of mediation-grade the total is no longer the model's job:
+// the worker weights Inhalt and Sprache with the course's rubric (see RUBRICS)
+const MEDIATION_SCORES_SYSTEM = `You are a strict German Abitur {language_name} teacher grading a Sprachmittlung (mediation).
+You must grade using the Bewertungsraster given by the user with Notenpunkte (0-15 NP).
+Return your evaluation in the following JSON format ONLY (no markdown, no extra text):
+{
+  "inhalt_np": <number 0-15>,
+  "sprache_np": <number 0-15>,
+  "annotations": [
+    { "quote": "<exact passage from the student text>", "category": "<category>", "correction": "<suggested correction>", "explanation": "<one short sentence in German>" }
+  ],
+  "feedback": "<summary feedback in German with Markdown formatting>"
+}
+Do NOT calculate an overall score; the system weights Inhalt and Sprache itself.
+ANNOTATIONS: one entry per error, in the order they appear in the student text.
+- "quote" must be copied character for character from the student text. Keep it short: the faulty word or phrase, never more than one sentence.
+- "category" is exactly one of:
+  grammar              tense, agreement, word order, articles, spelling, punctuation
+  vocabulary           wrong or imprecise word, collocation, false friend
+  register             style not suited to the text type or addressee
+  mediation_strategy   unsuitable paraphrase, missing explanation for the target reader, irrelevant detail
+  literal_translation  German wording or structure carried over word for word
+  missing_content      a relevant point of the source text is missing; set "quote" to "" and name the point in "correction"
+IMPORTANT: Return ONLY valid JSON. No markdown fences. No preamble.`;
+
+const MEDIATION_EVIDENCE_NOTE = `
+EVIDENCE: The user message contains an "Automatische Textanalyse" computed by the system: word count against the target range, how closely the student's sentences follow the order of the German source text, German words left in the text and passages copied word for word from a model answer the student has seen.
+Use these findings as evidence, not as a verdict. Check them against the texts: a text that follows the source sentence by sentence points to translating instead of mediating (Umschreibungsstrategien, Inhalt); German words and copied passages count against Eigenständigkeit and Sprache; a text far outside the word range rarely fulfils the task. Mention relevant findings in the feedback.`;
+
+// Output format of writing-grade since version 2 (with annotations)
+const WRITING_GRADE_SYSTEM = `You are a strict German Abitur {language_name} teacher grading a Textproduktion (Schreiben) exam.
+The student answered the listed tasks in one text; identify which part answers which task.
+Grade CONTENT separately for each task with the official ISB Bewertungsraster (0-15 NP).
+Grade LANGUAGE once for the whole text (0-15 NP).
+Return your evaluation in the following JSON format ONLY (no markdown, no extra text):
+{
+  "tasks": [
+    { "task": "<task id, e.g. 1, 2, 3.1 or 3.2>", "inhalt_np": <number 0-15>, "comment": "<2-3 sentences in German on this task>" }
+  ],
+  "sprache_np": <number 0-15>,
+  "annotations": [
+    { "quote": "<exact passage from the student text>", "category": "<category>", "correction": "<suggested correction>", "explanation": "<one short sentence in German>" }
+  ],
+  "feedback": "<summary feedback in German with Markdown formatting>"
+}
+Include exactly one entry in "tasks" for every task listed by the user. A task the student did not answer gets inhalt_np 0.
+Do NOT calculate an overall score; the system weights the tasks itself.
+ANNOTATIONS: one entry per error, in the order they appear in the student text.
+- "quote" must be copied character for character from the student text. Keep it short: the faulty word or phrase, never more than one sentence.
+- "category" is exactly one of:
+  grammar              tense, agreement, word order, articles, spelling, punctuation
+  vocabulary           wrong or imprecise word, collocation, false friend
+  register             style not suited to the text type or addressee
+  missing_content      a point the task requires is missing; set "quote" to "" and name the point in "correction"
+IMPORTANT: Return ONLY valid JSON. No markdown fences. No preamble.`;
+
+const WRITING_FEEDBACK_FORMAT = `
+=== FORMAT DES FEEDBACKS ===
+
+Einzelne Fehler gehören NICHT ins Feedback, sondern in die "annotations". Das Feedback fasst zusammen:
+
+### Inhalt & Textstruktur ({inhalt_np}/15 NP)
+Erkläre, ob und wie gut die Aufgabenstellung erfüllt wurde. Zitiere konkrete Passagen.
+
+### Sprache ({sprache_np}/15 NP)
+Beschreibe die wichtigsten Fehlermuster und Stärken: Korrektheit, Eigenständigkeit, Wortwahl, Satzbau und textstrukturierende Mittel. Wiederhole dabei nicht die einzelnen Fehler.
+
+### Positive Aspekte
+2-3 gelungene Formulierungen oder Argumente (mit Zitat).
+
+WICHTIG: Nenne KEINE Gesamtpunktzahl und KEINE Schulnote im Feedback.
+Schreibe Feedback und Erklärungen auf DEUTSCH, Zitate und Korrekturen auf {language}.`;
+
+const MEDIATION_FEEDBACK_FORMAT = `
+=== FORMAT DES FEEDBACKS ===
+
+Einzelne Fehler gehören NICHT ins Feedback, sondern in die "annotations" (Zitat, Kategorie, Korrektur, Erklärung). Das Feedback fasst zusammen:
+
+### Inhalt & Textstruktur ({inhalt_np}/15 NP)
+Erkläre, welche inhaltlichen Aspekte der Aufgabe gut umgesetzt wurden und welche fehlen oder unzureichend sind. Gehe auf Textart, Situations- und Adressatenbezug, Kohärenz und Umschreibungsstrategien ein.
+
+### Sprache ({sprache_np}/15 NP)
+Beschreibe die wichtigsten Fehlermuster und Stärken: Korrektheit (Lexik, Grammatik, Orthographie), Eigenständigkeit der Formulierungen, Wortwahl, Satzbau und textstrukturierende Mittel. Wiederhole dabei nicht die einzelnen Fehler.
+
+### Positive Aspekte
+Hebe 2–3 besonders gelungene Formulierungen oder Strategien hervor (mit Zitat).
+
+WICHTIG: Nenne im Feedback KEINE Gesamtpunktzahl und KEINE Schulnote. Die Berechnung der Gesamtnote übernimmt das System automatisch. Beschränke dich auf die inhaltliche und sprachliche Analyse.
+
+Schreibe das gesamte Feedback und die Erklärungen auf DEUTSCH, Zitate und Korrekturen auf {language}.`;
+
+const PROMPTS = {
+  "mediation-exam": {
+    kind: "exam",
+    versions: {
+      1: {
+        system: EXAM_SYSTEM_PROMPT,
+        user: `Du bist ein Experte für das bayerische Abitur im Fach Englisch. Erstelle eine Mediation-Prüfungsaufgabe.
+
+THEMA: {topic}
+STRIKTE ZIELLÄNGE QUELLTEXT: exakt ca. {length} Wörter
+
+TEIL 1 – DEUTSCHER QUELLTEXT:
+
+Rolle: Du schreibst als Redakteur einer großen deutschen Wochenzeitung (DIE ZEIT, FAZ, Spiegel). 
+
+WICHTIGE STILREGELN:
+- LÄNGE IST ENTSCHEIDEND: Der Text MUSS ungefähr {length} Wörter haben. Toleranz: maximal ±10%. Ein Text mit Vorgabe 400 darf also 360–440 Wörter haben, NICHT 600 oder mehr. Wenn du merkst, dass der Text zu lang wird, beende ihn. Qualität vor Quantität.
+- Der Text muss wie ein echter, durchgehender Zeitungsartikel wirken – ein einziger Fließtext ohne Zwischenüberschriften, ohne Nummerierungen, ohne Aufzählungen.
+- Verwende Absätze (Leerzeilen zwischen Absätzen), aber KEINE Zwischenüberschriften oder Abschnittstitel.
+- Beginne mit einem konkreten, lebendigen Einstieg (Szene, Anekdote oder aktuelles Ereignis), der den Leser sofort ins Thema zieht.
+- Entwickle den Text organisch weiter: von der konkreten Beobachtung zur Analyse, von Expertenstimmen zu gesellschaftlichen Implikationen, und schließe mit einem offenen, nachdenklichen Ende.
+- Baue mindestens zwei fiktive Expertenzitate ein (z.B. "Wie die Soziologin Maria Berger betont: ...").
+- Schreibstil: intellektuell anspruchsvoll, metaphorisch, komplexe Satzgefüge (Hypotaxen), gehobenes Vokabular. Keine einfachen Hauptsätze aneinanderreihen.
+
+TEIL 2 – ENGLISCHE AUFGABENSTELLUNG (Mediation Task):
+
+Schreibe eine KOMPAKTE Aufgabenstellung im authentischen Stil bayerischer Abiturprüfungen. Die gesamte Aufgabenstellung sollte nur 3-5 Sätze lang sein.
+
+WICHTIGE REGELN FÜR DIE AUFGABENSTELLUNG:
+- Erster Satz: Beschreibe kurz die Situation des Schülers (z.B. Ehrenamt, Austauschprogramm, Projekt).
+- Zweiter Satz: Erkläre den konkreten Anlass, warum ein Text verfasst werden muss.
+- Letzter Satz: Beginne mit "Write a/an [Textsorte] on..." und nenne die inhaltlichen Aspekte, die behandelt werden sollen. Diese Aspekte sollen als natürlicher Fließtext in einem einzigen Satz formuliert sein, NICHT als nummerierte Liste oder Bullet Points. Verbinde die Aspekte mit "and", Relativsätzen oder Partizipialkonstruktionen.
+
+BEISPIEL für den richtigen Stil:
+"You are volunteering at Exmoor National Park, which was designated the first 'International Dark Sky Reserve' in Europe in 2011. All the international volunteers have been asked to present the role light at night plays in their home country on the park's website. Write an article on how light affects people and the natural world at night in Germany and what measures are being taken or considered to reduce light pollution."
+
+WEITERES BEISPIEL:
+"You are taking part in a youth exchange programme in Scotland focusing on environmental issues. The programme's blog features weekly contributions from participants about sustainability efforts in their home countries. Write a blog entry about how Germany is addressing the challenge of sustainable urban development and what role young people are playing in shaping greener cities."
+
+OUTPUT FORMAT:
+Antworte NUR mit reinem JSON in folgendem Format:
+{
+  "headline": "Titel des Artikels",
+  "article_text": "Der komplette deutsche Text als durchgehender Zeitungsartikel ohne Zwischenüberschriften...",
+  "task_instruction": "Die kompakte englische Aufgabenstellung in 3-5 Sätzen..."
+}`
+      },
+      // Target language as a parameter
+      2: {
+        system: EXAM_SYSTEM_PROMPT,
+        user: `Du bist ein Experte für das bayerische Abitur im Fach {language}. Erstelle eine Mediation-Prüfungsaufgabe.
+
+THEMA: {topic}
+STRIKTE ZIELLÄNGE QUELLTEXT: exakt ca. {length} Wörter
+
+TEIL 1 – DEUTSCHER QUELLTEXT:
+
+Rolle: Du schreibst als Redakteur einer großen deutschen Wochenzeitung (DIE ZEIT, FAZ, Spiegel). 
+
+WICHTIGE STILREGELN:
+- LÄNGE IST ENTSCHEIDEND: Der Text MUSS ungefähr {length} Wörter haben. Toleranz: maximal ±10%. Ein Text mit Vorgabe 400 darf also 360–440 Wörter haben, NICHT 600 oder mehr. Wenn du merkst, dass der Text zu lang wird, beende ihn. Qualität vor Quantität.
+- Der Text muss wie ein echter, durchgehender Zeitungsartikel wirken – ein einziger Fließtext ohne Zwischenüberschriften, ohne Nummerierungen, ohne Aufzählungen.
+- Verwende Absätze (Leerzeilen zwischen Absätzen), aber KEINE Zwischenüberschriften oder Abschnittstitel.
+- Beginne mit einem konkreten, lebendigen Einstieg (Szene, Anekdote oder aktuelles Ereignis), der den Leser sofort ins Thema zieht.
+- Entwickle den Text organisch weiter: von der konkreten Beobachtung zur Analyse, von Expertenstimmen zu gesellschaftlichen Implikationen, und schließe mit einem offenen, nachdenklichen Ende.
+- Baue mindestens zwei fiktive Expertenzitate ein (z.B. "Wie die Soziologin Maria Berger betont: ...").
+- Schreibstil: intellektuell anspruchsvoll, metaphorisch, komplexe Satzgefüge (Hypotaxen), gehobenes Vokabular. Keine einfachen Hauptsätze aneinanderreihen.
+
+TEIL 2 – AUFGABENSTELLUNG AUF {language} (Mediation Task):
+
+Schreibe eine KOMPAKTE Aufgabenstellung im authentischen Stil bayerischer Abiturprüfungen. Die gesamte Aufgabenstellung ist auf {language} formuliert und sollte nur 3-5 Sätze lang sein.
+
+WICHTIGE REGELN FÜR DIE AUFGABENSTELLUNG:
+- Erster Satz: Beschreibe kurz die Situation des Schülers (z.B. Ehrenamt, Austauschprogramm, Projekt).
+- Zweiter Satz: Erkläre den konkreten Anlass, warum ein Text verfasst werden muss.
+- Letzter Satz: Beginne mit "{task_start}" und nenne die inhaltlichen Aspekte, die behandelt werden sollen. Diese Aspekte sollen als natürlicher Fließtext in einem einzigen Satz formuliert sein, NICHT als nummerierte Liste oder Bullet Points. Verbinde die Aspekte mit Konjunktionen, Relativsätzen oder Partizipialkonstruktionen.
+
+BEISPIEL für den richtigen Stil:
+"{mediation_task}"
+
+OUTPUT FORMAT:
+Antworte NUR mit reinem JSON in folgendem Format:
+{
+  "headline": "Titel des Artikels",
+  "article_text": "Der komplette deutsche Text als durchgehender Zeitungsartikel ohne Zwischenüberschriften...",
+  "task_instruction": "Die kompakte Aufgabenstellung auf {language} in 3-5 Sätzen..."
+}`
+      }
+    }
+  },
+  "writing-exam": {
+    kind: "exam",
+    versions: {
+      1: {
+        system: EXAM_SYSTEM_PROMPT,
+        user: `Du bist ein Experte für das bayerische Abitur im Fach Englisch (Prüfungsteil B: Schreiben). Erstelle eine vollständige Schreiben-Prüfungsaufgabe.
+
+NIVEAU: {level}
+THEMA: {topic}
+TEXTART: {texttype}
+STRIKTE ZIELLÄNGE: ca. 700 Wörter
+
+Erstelle einen ENGLISCHEN Ausgangstext UND drei Aufgaben dazu, exakt im Stil des bayerischen Abiturs 2026.
+
+TEIL 1 – ENGLISCHER AUSGANGSTEXT:
+
+WENN TEXTART = "nicht-literarisch":
+- Schreibe einen authentisch wirkenden englischen Sachtext (Zeitungsartikel, Essay, Feature, Reportage).
+- Ca. 700 Wörter (Toleranz ±10%). Durchgängiger Fließtext, sprachlich anspruchsvoll, klare Argumentation.
+- Verwende analysierbare Stilmittel (Metaphern, rhetorische Fragen, Ironie, Kontraste etc.).
+- Erfinde einen plausiblen Autor und eine Quelle (z.B. "Sarah Mitchell, The Guardian, 15.03.2025").
+
+WENN TEXTART = "literarisch":
+- Schreibe einen Auszug aus einem fiktiven englischsprachigen Roman oder einer Kurzgeschichte.
+- Ca. 700 Wörter. Erzählerischer Text mit Figurenentwicklung, Atmosphäre, Dialogen.
+- Verwende literarische Stilmittel (Bildsprache, Symbolik, Erzählperspektive, Stream of Consciousness, Kontraste, Foreshadowing etc.).
+- Gib eine kurze Kontextinfo am Anfang (1-2 Sätze kursiv, z.B. "The following passage is set in...").
+- Erfinde einen plausiblen Autor (z.B. "Emma Whitfield, The Glass Between Us, 2023").
+
+TEIL 2 – DREI AUFGABEN:
+
+Aufgabe 1 (30%): Eine kurze, präzise Outline-Aufgabe.
+- Bei nicht-literarisch: z.B. "Outline the main arguments presented in the article and the author's stance on [Thema]."
+- Bei literarisch: z.B. "Outline what the reader learns about [Figur] and [his/her] state of mind."
+
+Aufgabe 2 (30%): Eine kurze, präzise Analyse-Aufgabe. MAXIMAL 1-2 Sätze!
+- Bei nicht-literarisch: z.B. "Analyse the writer's attitude. Focus on the use of language."
+- Bei literarisch: z.B. "Analyse how the setting is used to create atmosphere. Focus on the author's use of language."
+
+Aufgabe 3 (40%): ZWEI Wahlaufgaben (3.1 und 3.2):
+- 3.1: Ein Zitat aus dem Text + "Taking the quotation as a starting point, assess/discuss..." (1 Satz)
+- 3.2: Situationsbeschreibung (1-2 Sätze) + "Write a/an [Textsorte] in which you..." (1 Satz)
+
+Bei eA: Aufgaben sprachlich und inhaltlich anspruchsvoller, tiefere Analyse erwartet.
+Bei gA: Aufgaben etwas zugänglicher formuliert.
+
+OUTPUT FORMAT (NUR reines JSON):
+{
+  "headline": "Titel des Texts",
+  "source_info": "Autor, Quelle, Datum",
+  "article_text": "Der komplette englische Text...",
+  "task_1": "Outline...",
+  "task_2": "Analyse... Focus on...",
+  "task_3_1_quote": "Exaktes Zitat aus dem Text (mit Zeilenangabe)",
+  "task_3_1": "Taking the quotation as a starting point, assess/discuss...",
+  "task_3_2_situation": "Situationsbeschreibung (1-2 Sätze)",
+  "task_3_2": "Write a/an [Textsorte] in which you..."
+}`
+      },
+      // Target language as a parameter
+      2: {
+        system: EXAM_SYSTEM_PROMPT,
+        user: `Du bist ein Experte für das bayerische Abitur im Fach {language} (Prüfungsteil B: Schreiben). Erstelle eine vollständige Schreiben-Prüfungsaufgabe.
+
+NIVEAU: {level}
+THEMA: {topic}
+TEXTART: {texttype}
+STRIKTE ZIELLÄNGE: ca. 700 Wörter
+
+Erstelle einen Ausgangstext auf {language} UND drei Aufgaben dazu, ebenfalls auf {language}, exakt im Stil des bayerischen Abiturs 2026.
+
+TEIL 1 – AUSGANGSTEXT AUF {language}:
+
+WENN TEXTART = "nicht-literarisch":
+- Schreibe einen authentisch wirkenden Sachtext auf {language} (Zeitungsartikel, Essay, Feature, Reportage).
+- Ca. 700 Wörter (Toleranz ±10%). Durchgängiger Fließtext, sprachlich anspruchsvoll, klare Argumentation.
+- Verwende analysierbare Stilmittel (Metaphern, rhetorische Fragen, Ironie, Kontraste etc.).
+- Erfinde einen plausiblen Autor und eine Quelle (z.B. "{source_info}").
+
+WENN TEXTART = "literarisch":
+- Schreibe einen Auszug aus einem fiktiven Roman auf {language} oder einer Kurzgeschichte.
+- Ca. 700 Wörter. Erzählerischer Text mit Figurenentwicklung, Atmosphäre, Dialogen.
+- Verwende literarische Stilmittel (Bildsprache, Symbolik, Erzählperspektive, Stream of Consciousness, Kontraste, Foreshadowing etc.).
+- Gib eine kurze Kontextinfo am Anfang (1-2 Sätze kursiv, z.B. "{fiction_context}").
+- Erfinde einen plausiblen Autor (z.B. "{fiction_info}").
+
+TEIL 2 – DREI AUFGABEN:
+
+Aufgabe 1 (30%): Eine kurze, präzise Outline-Aufgabe.
+- Bei nicht-literarisch: z.B. "{outline_article}"
+- Bei literarisch: z.B. "{outline_fiction}"
+
+Aufgabe 2 (30%): Eine kurze, präzise Analyse-Aufgabe. MAXIMAL 1-2 Sätze!
+- Bei nicht-literarisch: z.B. "{analyse_article}"
+- Bei literarisch: z.B. "{analyse_fiction}"
+
+Aufgabe 3 (40%): ZWEI Wahlaufgaben (3.1 und 3.2):
+- 3.1: Ein Zitat aus dem Text + "{comment}" (1 Satz)
+- 3.2: Situationsbeschreibung (1-2 Sätze) + "{create}" (1 Satz)
+
+Bei eA: Aufgaben sprachlich und inhaltlich anspruchsvoller, tiefere Analyse erwartet.
+Bei gA: Aufgaben etwas zugänglicher formuliert.
+
+OUTPUT FORMAT (NUR reines JSON):
+{
+  "headline": "Titel des Texts",
+  "source_info": "Autor, Quelle, Datum",
+  "article_text": "Der komplette Text auf {language}...",
+  "task_1": "Aufgabe 1 auf {language}...",
+  "task_2": "Aufgabe 2 auf {language}...",
+  "task_3_1_quote": "Exaktes Zitat aus dem Text (mit Zeilenangabe)",
+  "task_3_1": "{comment}",
+  "task_3_2_situation": "Situationsbeschreibung (1-2 Sätze)",
+  "task_3_2": "{create}"
+}`
+      }
+    }
+  },
+  "mediation-grade": {
+    kind: "grade",
+    versions: {
+      1: {
+        system: `You are a strict German Abitur English teacher grading a Sprachmittlung (mediation).
+You must grade using the official ISB Bewertungsraster with Notenpunkte (0-15 NP).
+Return your evaluation in the following JSON format ONLY (no markdown, no extra text):
+{
+  "inhalt_np": <number 0-15>,
+  "sprache_np": <number 0-15>,
+  "gesamt_np": <number 0-15>,
+  "feedback": "<detailed feedback in German with Markdown formatting, citing specific student text passages>"
+}
+CALCULATION: gesamt_np = round(inhalt_np * 0.4 + sprache_np * 0.6)
+SPERRKLAUSEL: If inhalt_np OR sprache_np is 0, gesamt_np must be at most 3.
+IMPORTANT: Return ONLY valid JSON. No markdown fences. No preamble.`,
+        rubric: inLanguage(MEDIATION_RUBRIC, "en") + `
+=== FORMAT DES FEEDBACKS ===
+
+Dein Feedback MUSS konkrete Textstellen des Schülers zitieren. Arbeite wie folgt:
+
+### Inhalt & Textstruktur ({inhalt_np}/15 NP)
+Erkläre, welche inhaltlichen Aspekte der Aufgabe gut umgesetzt wurden und welche fehlen oder unzureichend sind. Zitiere dabei konkrete Passagen aus dem Schülertext (in Anführungszeichen), um dein Urteil zu belegen. Gehe auf Textart, Situations- und Adressatenbezug, Kohärenz und Umschreibungsstrategien ein.
+
+### Sprache ({sprache_np}/15 NP)
+Liste die wichtigsten Sprachfehler auf, indem du die fehlerhafte Stelle zitierst und die korrekte Version daneben stellst. Verwende das Format:
+- "has went" → "has gone" (Partizipform)
+- "informations" → "information" (unzählbar)
+Gehe auf folgende Kriterien ein: Korrektheit (Lexik, Grammatik, Orthographie), Eigenständigkeit der Formulierungen, Wortwahl, Satzbau und textstrukturierende Mittel.
+
+### Positive Aspekte
+Hebe 2–3 besonders gelungene Formulierungen oder Strategien hervor (mit Zitat).
+
+WICHTIG: Nenne im Feedback KEINE Gesamtpunktzahl und KEINE Schulnote. Die Berechnung der Gesamtnote übernimmt das System automatisch. Beschränke dich auf die inhaltliche und sprachliche Analyse.
+
+Schreibe das gesamte Feedback auf DEUTSCH, aber zitiere den Schülertext natürlich auf Englisch.`
+      },
+      2: {
+        system: MEDIATION_GRADE_SYSTEM,
+        rubric: inLanguage(MEDIATION_RUBRIC + MEDIATION_FEEDBACK_FORMAT, "en")
+      },
+      3: {
+        system: MEDIATION_GRADE_SYSTEM + MEDIATION_EVIDENCE_NOTE,
+        rubric: inLanguage(MEDIATION_RUBRIC + MEDIATION_FEEDBACK_FORMAT, "en")
+      },
+      // From here on the descriptors come from the course's rubric; the
+      // prompt only contributes the feedback `format`
+      4: {
+        system: inLanguage(MEDIATION_SCORES_SYSTEM, "en") + MEDIATION_EVIDENCE_NOTE,
+        format: inLanguage(MEDIATION_FEEDBACK_FORMAT, "en")
+      },
+      // Target language as a parameter, filled per request
+      5: {
+        system: MEDIATION_SCORES_SYSTEM + MEDIATION_EVIDENCE_NOTE,
+        format: MEDIATION_FEEDBACK_FORMAT
+      }
+    }
+  },
+  "writing-grade": {
+    kind: "grade",
+    versions: {
+      1: {
+        system: `You are a strict German Abitur English teacher grading a Textproduktion (Schreiben) exam.
+The student answered the listed tasks in one text; identify which part answers which task.
+Grade CONTENT separately for each task with the official ISB Bewertungsraster (0-15 NP).
+Grade LANGUAGE once for the whole text (0-15 NP).
+Return your evaluation in the following JSON format ONLY (no markdown, no extra text):
+{
+  "tasks": [
+    { "task": "<task id, e.g. 1, 2, 3.1 or 3.2>", "inhalt_np": <number 0-15>, "comment": "<2-3 sentences in German on this task>" }
+  ],
+  "sprache_np": <number 0-15>,
+  "feedback": "<detailed feedback in German with Markdown formatting, citing specific student text passages>"
+}
+Include exactly one entry in "tasks" for every task listed by the user. A task the student did not answer gets inhalt_np 0.
+Do NOT calculate an overall score; the system weights the tasks itself.
+IMPORTANT: Return ONLY valid JSON. No markdown fences. No preamble.`,
+        rubric: inLanguage(WRITING_RUBRIC, "en") + `
+=== FORMAT DES FEEDBACKS ===
+
+### Inhalt & Textstruktur ({inhalt_np}/15 NP)
+Erkläre, ob und wie gut die Aufgabenstellung erfüllt wurde. Zitiere konkrete Passagen.
+
+### Sprache ({sprache_np}/15 NP)
+Liste Sprachfehler auf: "Fehler" -> "Korrektur" (Erklärung). Gehe auf Korrektheit, Eigenständigkeit, Wortwahl, Satzbau und textstrukturierende Mittel ein.
+
+### Positive Aspekte
+2-3 gelungene Formulierungen oder Argumente (mit Zitat).
+
+WICHTIG: Nenne KEINE Gesamtpunktzahl und KEINE Schulnote im Feedback.
+Schreibe auf DEUTSCH, zitiere Schülertext auf Englisch.`
+      },
+      2: {
+        system: inLanguage(WRITING_GRADE_SYSTEM, "en"),
+        rubric: inLanguage(WRITING_RUBRIC + WRITING_FEEDBACK_FORMAT, "en")
+      },
+      3: {
+        system: inLanguage(WRITING_GRADE_SYSTEM, "en"),
+        format: inLanguage(WRITING_FEEDBACK_FORMAT, "en")
+      },
+      // Target language as a parameter, filled per request
+      4: {
+        system: WRITING_GRADE_SYSTEM,
+        format: WRITING_FEEDBACK_FORMAT
+      }
+    }
+  }
+};
+
+const LEVEL_LABELS = {
+  gA: "grundlegendes Anforderungsniveau (gA)",
+  eA: "erhöhtes Anforderungsniveau (eA)"
+};
+const TEXT_TYPES = ["nicht-literarisch", "literarisch"];
+
+// Latest version of a named prompt, or null for unknown ids
+function getPrompt(id) {
+  if (typeof id !== "string" || !Object.hasOwn(PROMPTS, id)) return null;
+  const entry = PROMPTS[id];
+  const version = Math.max(...Object.keys(entry.versions).map(Number));
+  return { id, kind: entry.kind, version, tag: `${id}@${version}`, ...entry.versions[version] };
+}
+
+function isKnownPromptTag(tag) {
+  if (typeof tag !== "string") return false;
+  const [id, version] = tag.split("@");
+  return Object.hasOwn(PROMPTS, id) && Object.hasOwn(PROMPTS[id].versions, version);
+}
+
+// Fills {name} placeholders; unknown placeholders are left untouched
+function fillTemplate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.hasOwn(params, key) ? String(params[key]) : match);
+}
+
+/* ================= GENERATE ================= */
+async function handleGenerate(request, env, session) {
+  const body = await request.json();
+  const { template_id, topic, level, texttype, length } = body;
+
+  // Input validation
+  const prompt = getPrompt(template_id);
+  if (!prompt || prompt.kind !== "exam") {
+    return jsonResponse({ error: "Unbekannte template_id." }, 400);
+  }
+  if (!topic || typeof topic !== "string") {
+    return jsonResponse({ error: "topic ist erforderlich." }, 400);
+  }
+  if (topic.length > 200) {
+    return jsonResponse({ error: "topic ist zu lang (max 200 Zeichen)." }, 400);
+  }
+  const examLevel = level || session.level || "gA";
+  if (!Object.hasOwn(LEVEL_LABELS, examLevel)) {
+    return jsonResponse({ error: "level muss gA oder eA sein." }, 400);
+  }
+  const textType = texttype || TEXT_TYPES[0];
+  if (!TEXT_TYPES.includes(textType)) {
+    return jsonResponse({ error: "Ungültige texttype." }, 400);
+  }
+  const wordLimit = parseInt(length) || 600;
+  if (wordLimit < 100 || wordLimit > 2000) {
+    return jsonResponse({ error: "length muss zwischen 100 und 2000 liegen." }, 400);
+  }
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
+  }
+  const quotaError = await chargeQuota(env, session, "/api/generate");
+  if (quotaError) return quotaError;
+
+  const userPrompt = fillTemplate(prompt.user, {
+    ...languageParams(language),
+    topic: topic.trim(),
+    level: LEVEL_LABELS[examLevel],
+    texttype: textType,
+    length: wordLimit
+  });
+
+  // Dynamic token limit: ~1.3 tokens/word (a little more in French and Spanish) + tasks + JSON overhead
+  const estimatedTokens = Math.round(wordLimit * 1.5) + 1200; // article + tasks + JSON
+  const maxTokens = Math.min(Math.max(estimatedTokens, 2500), 8000); // clamp between 2500-8000
+
+  const content = await completeJSON(env, {
+    session,
+    schema: prompt.id,
+    kind: prompt.id,
+    messages: [
+      { role: "system", content: prompt.system },
+      { role: "user", content: userPrompt }
+    ],
+    maxTokens
+  });
+  const library_id = await addToLibrary(env, {
+    type: prompt.id === "writing-exam" ? "writing" : "mediation",
+    exam: content,
+    topic: topic.trim(),
+    level: examLevel,
+    texttype: textType,
+    language,
+    source: "generated",
+    prompt_version: prompt.tag
+  });
+  return jsonResponse({ ...content, prompt_version: prompt.tag, target_language: language, library_id });
+}
+
+/* ================= GRADE ================= */
+// Consistency mode: with `runs` > 1 the text is graded several times
+// independently and the median scores are returned together with the spread.
+// Gradings that disagree by more than GRADING_SPREAD_THRESHOLD NP in any part
+// are flagged as uncertain ("unsicher") for teacher review.
+const MAX_GRADING_RUNS = 5;
+
+// `task` and `student_text` were called `task_en` and `student_text_en` while
+// English was the only target language; the old names are still accepted.
+async function handleGrade(request, env, session, ctx) {
+  const body = await request.json();
+  const { source_text_de, runs, stream } = body;
+  const task = body.task ?? body.task_en;
+  const student_text = body.student_text ?? body.student_text_en;
+
+  // Input validation
+  if (!source_text_de || typeof source_text_de !== "string") {
+    return jsonResponse({ error: "source_text_de ist erforderlich." }, 400);
+  }
+  if (!task || typeof task !== "string") {
+    return jsonResponse({ error: "task ist erforderlich." }, 400);
+  }
+  if (!student_text || typeof student_text !== "string") {
+    return jsonResponse({ error: "student_text ist erforderlich." }, 400);
+  }
+  if (source_text_de.length > 20000 || task.length > 5000 || student_text.length > 20000) {
+    return jsonResponse({ error: "Eingabetext ist zu lang." }, 400);
+  }
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
+  }
+  if (countUncertainWords(student_text)) {
+    return jsonResponse({ error: UNCONFIRMED_OCR_ERROR }, 400);
+  }
+  const runCount = runs == null ? 1 : runs;
+  if (!Number.isInteger(runCount) || runCount < 1 || runCount > MAX_GRADING_RUNS) {
+    return jsonResponse({ error: `runs muss zwischen 1 und ${MAX_GRADING_RUNS} liegen.` }, 400);
+  }
+  if (stream && runCount > 1) {
+    return jsonResponse({ error: "Streaming ist nur mit runs = 1 möglich." }, 400);
+  }
+  // Every run is a model call
+  const quotaError = await chargeQuota(env, session, "/api/grade", runCount);
+  if (quotaError) return quotaError;
+
+  const rubric = await getCourseRubric(env, session.course_id, language);
+  const modelAnswers = await getModelAnswers(env, session, source_text_de, task);
+  const analysis = analyseMediation(source_text_de, student_text, modelAnswers, rubric.mediation.word_range);
+
+  const prompt = getPrompt("mediation-grade");
+  const { label } = TARGET_LANGUAGES[language];
+  const messages = [
+    { role: "system", content: inLanguage(prompt.system, language) },
+    {
+      role: "user",
+      content:
+        `Deutscher Quelltext:\n${source_text_de}\n\n` +
+        `Aufgabenstellung (${label}):\n${task}\n\n` +
+        `Schülertext (${label}):\n${student_text}\n\n` +
+        `Automatische Textanalyse:\n${describeAnalysis(analysis)}\n\n` +
+        `Bewertungsraster:\n${rubricPrompt(rubric, "mediation")}${inLanguage(prompt.format, language)}`
+    }
+  ];
+
+  const call = {
+    session,
+    schema: "mediation-grade",
+    context: { studentText: student_text },
+    kind: "grade",
+    messages
+  };
+  const texts = { source_text: source_text_de, task, student_text };
+  const buildGrade = parsed => {
+    const annotations = locateAnnotations(parsed.annotations, student_text);
+    return {
+      scores: {
+        content_textstructure: parsed.inhalt_np,
+        language: parsed.sprache_np,
+        total: computeTotal(parsed.inhalt_np, parsed.sprache_np, rubric.weighting)
+      },
+      feedback: parsed.feedback,
+      annotations,
+      error_counts: countErrorCategories(annotations),
+      analysis,
+      prompt_version: prompt.tag,
+      rubric_version: rubricTag(rubric),
+      weighting: rubric.weighting,
+      target_language: language
+    };
+  };
+  if (stream) {
+    return streamGrading(ctx, env, session, "mediation", texts, call, buildGrade);
+  }
+
+  const gradings = await Promise.all(Array.from({ length: runCount }, () => completeJSON(env, call)));
+
+  let grade;
+  if (gradings.length === 1) {
+    grade = buildGrade(gradings[0]);
+  } else {
+    const { scores, spread, representative } = gradingConsensus(gradings, rubric.weighting);
+    const annotations = locateAnnotations(representative.annotations, student_text);
+    const configured = parseInt(env.GRADING_SPREAD_THRESHOLD);
+    const threshold = Number.isFinite(configured) ? configured : 2;
+    grade = {
+      scores,
+      feedback: representative.feedback,
+      annotations,
+      error_counts: countErrorCategories(annotations),
+      analysis,
+      consistency: {
+        runs: gradings.length,
+        spread,
+        threshold,
+        uncertain: Object.values(spread).some(points => points > threshold)
+      },
+      prompt_version: prompt.tag,
+      rubric_version: rubricTag(rubric),
+      weighting: rubric.weighting,
+      target_language: language
+    };
+  }
+
+  const grading_id = await saveGrading(env, session, "mediation", texts, grade);
+  return jsonResponse({ ...grade, grading_id });
+}
+
+// Median Inhalt and Sprache over all runs. The total is derived from the two
+// medians, so the rubric's weighting and Sperrklausel still hold. Feedback and
+// annotations shown to the student come from the run closest to the consensus.
+function gradingConsensus(gradings, weighting) {
+  const inhalt = median(gradings.map(g => g.inhalt_np));
+  const sprache = median(gradings.map(g => g.sprache_np));
+  const total = computeTotal(inhalt, sprache, weighting);
+  const range = values => Math.max(...values) - Math.min(...values);
+  const distance = g => Math.abs(g.inhalt_np - inhalt) + Math.abs(g.sprache_np - sprache);
+
+  return {
+    scores: { content_textstructure: inhalt, language: sprache, total },
+    spread: {
+      content_textstructure: range(gradings.map(g => g.inhalt_np)),
+      language: range(gradings.map(g => g.sprache_np)),
+      total: range(gradings.map(g => computeTotal(g.inhalt_np, g.sprache_np, weighting)))
+    },
+    representative: gradings.reduce((best, g) => (distance(g) < distance(best) ? g : best))
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/* ================= MEDIATION ANALYSIS ================= */
+// Deterministic checks that go with every mediation grading. They are shown to
+// the student next to the AI grade and passed to the grader as evidence:
+// - word_count:      length against the rubric's word range (MEDIATION_WORD_RANGE
+//                    in the ISB default)
+// - source_order:    how closely the student's sentences follow the sentences of
+//                    the German source in order – a sign of translating. Target-language
+//                    and German sentences are matched on shared "anchor" words
+//                    (names, numbers, cognates such as Regensburg, 2030, Problem).
+// - german_words:    German words from the source left in the target-language text
+// - copied_passages: runs of MIN_COPIED_WORDS or more words taken verbatim from
+//                    a model answer the student has seen for this task
+const MEDIATION_WORD_RANGE = { min: 200, max: 280 }; // as asked of the model answer
+const MIN_COPIED_WORDS = 8;
+const SOURCE_ORDER_WARNING = 0.7;   // share of sentences in source order
+const MIN_ORDER_SENTENCES = 4;      // too few sentences say nothing about order
+const MAX_GERMAN_WORDS = 20;
+
+// Words that would match across the two languages without being anchors
+const FALSE_ANCHORS = new Set(["also", "will", "wird", "hand", "kind", "fast", "gift", "bald", "rate", "then", "wand", "mist", "hell", "brief", "handy"]);
+
+// German function words that never belong in the target-language text
+const GERMAN_FUNCTION_WORDS = new Set([
+  "und", "oder", "aber", "nicht", "auch", "sind", "ist", "der", "das", "dem", "den", "des", "ein", "eine", "einen",
+  "einer", "mit", "für", "über", "wenn", "dass", "weil", "sich", "noch", "sehr", "schon", "werden", "wurde", "haben",
+  "nach", "zum", "zur", "vom", "beim", "durch", "gegen", "ohne", "zwischen", "bereits", "jedoch", "sowie", "immer"
+]);
+const GERMAN_WORD_PATTERN = /[äöüß]|(?:ung|ungen|keit|heit|schaft|lich|liche|lichen|isch|ische|chen|ieren|iert)$/;
+
+function analyseMediation(sourceText, studentText, modelAnswers = [], wordRange = MEDIATION_WORD_RANGE) {
+  return {
+    word_count: checkWordCount(studentText, wordRange),
+    source_order: compareSentenceOrder(sourceText, studentText),
+    german_words: findGermanWords(sourceText, studentText),
+    copied_passages: findCopiedPassages(studentText, modelAnswers),
+    model_answers_checked: modelAnswers.length
+  };
+}
+
+function checkWordCount(text, { min, max }) {
+  const count = countWords(text);
+  return { count, min, max, status: count < min ? "short" : count > max ? "long" : "ok" };
+}
+
+// Maps every student sentence to the source sentence it shares most anchors
+// with; `in_order` is the longest run of mapped sentences that keeps the order
+// of the source (longest strictly increasing subsequence, so several student
+// sentences drawn from the same source sentence count once).
+function compareSentenceOrder(sourceText, studentText) {
+  const source = splitSentences(sourceText).map(s => anchorWords(s));
+  const student = splitSentences(studentText).map(s => anchorWords(s));
+  const mapped = [];
+  for (const words of student) {
+    let best = -1, bestShared = 0;
+    source.forEach((sourceWords, i) => {
+      const shared = words.filter(w => sourceWords.some(s => isAnchorMatch(w, s))).length;
+      if (shared > bestShared) {
+        best = i;
+        bestShared = shared;
+      }
+    });
+    if (best >= 0) mapped.push(best);
+  }
+
+  const tails = [];
+  for (const index of mapped) {
+    let lo = 0, hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tails[mid] < index) lo = mid + 1;
+      else hi = mid;
+    }
+    tails[lo] = index;
+  }
+  const inOrder = tails.length;
+  const share = student.length ? Math.round((inOrder / student.length) * 100) / 100 : 0;
+
+  return {
+    sentences: student.length,
+    source_sentences: source.length,
+    matched: mapped.length,
+    in_order: inOrder,
+    share,
+    follows_source: student.length >= MIN_ORDER_SENTENCES && share >= SOURCE_ORDER_WARNING
+  };
+}
+
+function splitSentences(text) {
+  return (text || "").split(/(?<=[.!?…])["“”»«]?\s+|\n+/).map(s => s.trim()).filter(s => countWords(s) >= 3);
+}
+
+function wordsOf(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\d]+/gu) || [];
+}
+
+function anchorWords(sentence) {
+  return [...new Set(wordsOf(sentence).filter(w => (w.length >= 4 || /^\d+$/.test(w)) && !FALSE_ANCHORS.has(w)))];
+}
+
+// Identical words, or cognates sharing their first five letters (Touristen – tourists)
+function isAnchorMatch(a, b) {
+  return a === b || (a.length >= 6 && b.length >= 6 && a.slice(0, 5) === b.slice(0, 5));
+}
+
+function findGermanWords(sourceText, studentText) {
+  const sourceWords = new Set(wordsOf(sourceText));
+  const counts = new Map();
+  for (const word of studentText.match(/[\p{L}]+/gu) || []) {
+    const lower = word.toLowerCase();
+    const german = GERMAN_FUNCTION_WORDS.has(lower)
+      || (lower.length >= 4 && sourceWords.has(lower) && GERMAN_WORD_PATTERN.test(lower));
+    if (german) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts].slice(0, MAX_GERMAN_WORDS).map(([word, count]) => ({ word, count }));
+}
+
+// Passages of the student text (with character offsets, like annotations)
+function findCopiedPassages(studentText, modelAnswers) {
+  const grams = new Set();
+  for (const answer of modelAnswers) {
+    const words = wordsOf(answer);
+    for (let i = 0; i + MIN_COPIED_WORDS <= words.length; i++) {
+      grams.add(words.slice(i, i + MIN_COPIED_WORDS).join(" "));
+    }
+  }
+  if (!grams.size) return [];
+
+  const tokens = [...studentText.matchAll(/[\p{L}\d]+/gu)].map(m => ({
+    word: m[0].toLowerCase(),
+    start: m.index,
+    end: m.index + m[0].length
+  }));
+  const passages = [];
+  let last = null;
+  for (let i = 0; i + MIN_COPIED_WORDS <= tokens.length; i++) {
+    const gram = tokens.slice(i, i + MIN_COPIED_WORDS).map(t => t.word).join(" ");
+    if (!grams.has(gram)) continue;
+    const end = i + MIN_COPIED_WORDS - 1;
+    if (last && i <= last.lastToken + 1) {
+      last.lastToken = end; // overlapping or adjacent: extend the passage
+    } else {
+      last = { firstToken: i, lastToken: end };
+      passages.push(last);
+    }
+  }
+  return passages.map(({ firstToken, lastToken }) => {
+    const start = tokens[firstToken].start, end = tokens[lastToken].end;
+    return { quote: studentText.slice(start, end), start, end, words: lastToken - firstToken + 1 };
+  });
+}
+
+// The analysis as it is shown to the grader
+function describeAnalysis(analysis) {
+  const { word_count: wc, source_order: order, german_words: german, copied_passages: copied } = analysis;
+  const lengthNote = { ok: "im Zielbereich", short: "zu kurz", long: "zu lang" }[wc.status];
+  const lines = [
+    `- Wortzahl: ${wc.count} (Ziel ${wc.min}–${wc.max}) – ${lengthNote}`,
+    `- Satzfolge: ${order.in_order} von ${order.sentences} Sätzen folgen der Reihenfolge der ${order.source_sentences} Quelltextsätze` +
+      (order.follows_source ? " – der Text folgt dem Quelltext Satz für Satz (Hinweis auf Übersetzen statt Mitteln)" : ""),
+    `- Deutsche Wörter im Text: ${german.length ? german.map(g => `"${g.word}"`).join(", ") : "keine"}`
+  ];
+  if (analysis.model_answers_checked) {
+    lines.push(`- Wörtlich aus einer Musterlösung übernommen: ${copied.length
+      ? copied.map(p => `"${p.quote}"`).join("; ")
+      : "nichts"}`);
+  }
+  return lines.join("\n");
+}
+
+/* ================= GRADE WRITING (Textproduktion) ================= */
+// Bavarian Abitur Schreiben: the three tasks count 30/30/40 for content (a
+// course's rubric may weight them differently). When a student only does some
+// of them, the weights of the chosen tasks are rescaled.
+const WRITING_TASK_WEIGHTS = { "1": 30, "2": 30, "3.1": 40, "3.2": 40 };
+
+async function handleGradeWriting(request, env, session, ctx) {
+  const body = await request.json();
+  const { source_text, tasks, student_text, stream } = body;
+
+  // Input validation
+  if (!source_text || typeof source_text !== "string") {
+    return jsonResponse({ error: "source_text ist erforderlich." }, 400);
+  }
+  if (!student_text || typeof student_text !== "string") {
+    return jsonResponse({ error: "student_text ist erforderlich." }, 400);
+  }
+  if (!Array.isArray(tasks) || !tasks.length || tasks.length > 3) {
+    return jsonResponse({ error: "tasks muss 1–3 Aufgaben enthalten." }, 400);
+  }
+  const taskIds = tasks.map(t => t?.id);
+  if (tasks.some(t => !WRITING_TASK_WEIGHTS[t?.id] || typeof t.instruction !== "string" || t.instruction.length > 5000)
+      || new Set(taskIds).size !== taskIds.length
+      || (taskIds.includes("3.1") && taskIds.includes("3.2"))) {
+    return jsonResponse({ error: "Ungültige Aufgabenauswahl (1, 2 und entweder 3.1 oder 3.2)." }, 400);
+  }
+  if (source_text.length > 20000 || student_text.length > 30000) {
+    return jsonResponse({ error: "Eingabetext ist zu lang." }, 400);
+  }
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
+  }
+  if (countUncertainWords(student_text)) {
+    return jsonResponse({ error: UNCONFIRMED_OCR_ERROR }, 400);
+  }
+  const quotaError = await chargeQuota(env, session, "/api/grade-writing");
+  if (quotaError) return quotaError;
+
+  const rubric = await getCourseRubric(env, session.course_id, language);
+  const taskList = tasks.map(t => `Aufgabe ${t.id} (${rubricTaskWeight(rubric, t.id)}%): ${t.instruction}`).join("\n\n");
+
+  const prompt = getPrompt("writing-grade");
+  const messages = [
+    { role: "system", content: inLanguage(prompt.system, language) },
+    {
+      role: "user",
+      content:
+        `Ausgangstext (${TARGET_LANGUAGES[language].label}):\n${source_text}\n\n` +
+        `Aufgaben:\n${taskList}\n\n` +
+        `Schülertext:\n${student_text}\n\n` +
+        `Bewertungsraster:\n${rubricPrompt(rubric, "writing")}${inLanguage(prompt.format, language)}`
+    }
+  ];
+
+  const call = {
+    session,
+    schema: "writing-grade",
+    context: { taskIds, studentText: student_text },
+    kind: "grade-writing",
+    messages
+  };
+  const texts = {
+    source_text,
+    task: tasks.map(t => `Aufgabe ${t.id}: ${t.instruction}`).join("\n\n"),
+    student_text
+  };
+  const buildGrade = parsed => {
+    // The schema guarantees exactly one graded entry per requested task
+    const taskScores = taskIds.map(id => {
+      const entry = parsed.tasks.find(g => g.task === id);
+      return {
+        task: id,
+        weight: rubricTaskWeight(rubric, id),
+        content: entry.inhalt_np,
+        comment: entry.comment
+      };
+    });
+
+    const weightSum = taskScores.reduce((sum, t) => sum + t.weight, 0);
+    const inhalt = Math.round(taskScores.reduce((sum, t) => sum + t.content * t.weight, 0) / weightSum);
+    const annotations = locateAnnotations(parsed.annotations, student_text);
+
+    return {
+      scores: {
+        content_textstructure: inhalt,
+        language: parsed.sprache_np,
+        total: computeTotal(inhalt, parsed.sprache_np, rubric.weighting)
+      },
+      task_scores: taskScores,
+      feedback: parsed.feedback,
+      annotations,
+      error_counts: countErrorCategories(annotations),
+      prompt_version: prompt.tag,
+      rubric_version: rubricTag(rubric),
+      weighting: rubric.weighting,
+      target_language: language
+    };
+  };
+  if (stream) {
+    return streamGrading(ctx, env, session, "writing", texts, call, buildGrade);
+  }
+
+  const grade = buildGrade(await completeJSON(env, call));
+  const grading_id = await saveGrading(env, session, "writing", texts, grade);
+  return jsonResponse({ ...grade, grading_id });
+}
+
+// Gesamt = weighted Inhalt + Sprache (ISB: 40/60); Sperrklausel: 0 NP in either
+// part caps the total (ISB: at 3). The weighting comes from the course's rubric.
+function computeTotal(inhalt, sprache, weighting = DEFAULT_RUBRIC.weighting) {
+  let total = Math.round((inhalt * weighting.content + sprache * weighting.language) / 100);
+  if (weighting.cap != null && (inhalt === 0 || sprache === 0)) total = Math.min(total, weighting.cap);
+  return total;
+}
+
+function clampNP(value) {
+  const n = typeof value === "number" ? value : parseInt(value);
+  return Number.isFinite(n) ? Math.min(Math.max(Math.round(n), 0), 15) : null;
+}
+
+/* ================= RUBRICS ================= */
+// Teachers keep their own Bewertungsraster: descriptors for both modules, the
+// Inhalt/Sprache weighting, the Sperrklausel, the content weights of the writing
+// tasks and the expected word counts. A course grades with the latest version
+// of the rubric assigned to it (course.rubric_id); courses without one grade
+// with the ISB default of their target language. A rubric belongs to one
+// target language and only goes to courses in that language. Saving a rubric
+// publishes a new version and never edits an old one, so the "<id>@<version>"
+// tag stored with each result keeps pointing at the exact raster it was graded
+// with.
+//   rubric:<id>               latest version
+//   rubric_version:<id>:<v>   every published version, kept after deletion
+const DEFAULT_RUBRICS = Object.fromEntries(Object.keys(TARGET_LANGUAGES).map(code => [code, {
+  id: code === DEFAULT_LANGUAGE ? "isb" : "isb-" + code,
+  version: 1,
+  name: code === DEFAULT_LANGUAGE
+    ? "ISB-Bewertungsraster (Standard)"
+    : `ISB-Bewertungsraster ${TARGET_LANGUAGES[code].label} (Standard)`,
+  language: code,
+  weighting: { content: 40, language: 60, cap: 3 },
+  mediation: { descriptors: inLanguage(MEDIATION_RUBRIC, code), word_range: MEDIATION_WORD_RANGE },
+  writing: { descriptors: inLanguage(WRITING_RUBRIC, code), task_weights: { "1": 30, "2": 30, "3": 40 }, word_range: null },
+  created_at: null
+}]));
+const DEFAULT_RUBRIC = DEFAULT_RUBRICS[DEFAULT_LANGUAGE];
+const MAX_RUBRIC_TEXT = 20000;
+const WORD_RANGE_LIMITS = { min: 20, max: 3000 };
+
+async function handleGetRubrics(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const rubrics = Object.values(DEFAULT_RUBRICS);
+  for (const key of await listKeys(env, "rubric:")) {
+    const rubric = await getJSON(env, key.name);
+    if (rubric) rubrics.push(rubric);
+  }
+  const courses = [];
+  for (const key of await listKeys(env, "course:")) {
+    const course = await getJSON(env, key.name);
+    if (course) courses.push(course);
+  }
+  const usedBy = id => courses
+    .filter(c => (c.rubric_id || DEFAULT_RUBRICS[c.language || DEFAULT_LANGUAGE].id) === id)
+    .map(c => ({ id: c.id, name: c.name }));
+
+  return jsonResponse({
+    rubrics: rubrics.map(r => ({
+      ...r,
+      language: r.language || DEFAULT_LANGUAGE,
+      tag: rubricTag(r),
+      is_default: isDefaultRubric(r.id),
+      courses: usedBy(r.id)
+    }))
+  });
+}
+
+// One published version, for looking back at the raster behind older results
+async function handleGetRubric(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { rubric_id, version } = await request.json();
+  const rubric = await getRubricByTag(env, `${rubric_id}@${version}`);
+  if (!rubric) {
+    return jsonResponse({ error: "Bewertungsraster nicht gefunden." }, 404);
+  }
+  return jsonResponse({ rubric: { ...rubric, tag: rubricTag(rubric) } });
+}
+
+// Without rubric_id a new rubric is created, otherwise its next version
+async function handleSaveRubric(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const body = await request.json();
+  let version = 1, id = newId(), latest = null;
+  if (body.rubric_id != null) {
+    if (isDefaultRubric(body.rubric_id)) {
+      return jsonResponse({ error: "Das ISB-Standardraster kann nicht geändert werden. Lege eine Kopie an." }, 400);
+    }
+    latest = typeof body.rubric_id === "string" ? await getJSON(env, "rubric:" + body.rubric_id) : null;
+    if (!latest) {
+      return jsonResponse({ error: "Bewertungsraster nicht gefunden." }, 404);
+    }
+    id = latest.id;
+    version = latest.version + 1;
+  }
+  const clean = cleanRubric(body);
+  if (clean.error) {
+    return jsonResponse({ error: clean.error }, 400);
+  }
+  // Courses it is assigned to would otherwise grade in the wrong language
+  if (latest && (latest.language || DEFAULT_LANGUAGE) !== clean.language) {
+    return jsonResponse({ error: "Die Sprache eines Rasters kann nicht geändert werden." }, 400);
+  }
+
+  const rubric = { id, version, ...clean, created_at: new Date().toISOString() };
+  await putJSON(env, `rubric_version:${id}:${version}`, rubric);
+  await putJSON(env, "rubric:" + id, rubric);
+
+  return jsonResponse({ rubric: { ...rubric, tag: rubricTag(rubric) } });
+}
+
+// Only unassigned rubrics can be deleted. The published versions stay, results
+// graded with them still show and recompute with their raster.
+async function handleDeleteRubric(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { rubric_id } = await request.json();
+  const rubric = typeof rubric_id === "string" ? await getJSON(env, "rubric:" + rubric_id) : null;
+  if (!rubric) {
+    return jsonResponse({ error: "Bewertungsraster nicht gefunden." }, 404);
+  }
+  for (const key of await listKeys(env, "course:")) {
+    const course = await getJSON(env, key.name);
+    if (course?.rubric_id === rubric.id) {
+      return jsonResponse({ error: `Das Raster ist dem Kurs ${course.name} zugewiesen.` }, 400);
+    }
+  }
+
+  await env.RESULTS_KV.delete("rubric:" + rubric.id);
+  return jsonResponse({ success: true });
+}
+
+// rubric_id null (or a default's id) goes back to the ISB default of the
+// course's language
+async function handleAssignRubric(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { course_id, rubric_id } = await request.json();
+  const course = typeof course_id === "string" ? await getJSON(env, "course:" + course_id) : null;
+  if (!course) {
+    return jsonResponse({ error: "Kurs nicht gefunden." }, 404);
+  }
+  if (rubric_id != null && !isDefaultRubric(rubric_id)) {
+    const rubric = typeof rubric_id === "string" ? await getJSON(env, "rubric:" + rubric_id) : null;
+    if (!rubric) {
+      return jsonResponse({ error: "Bewertungsraster nicht gefunden." }, 404);
+    }
+    const courseLanguage = course.language || DEFAULT_LANGUAGE;
+    if ((rubric.language || DEFAULT_LANGUAGE) !== courseLanguage) {
+      return jsonResponse({ error: `Das Raster passt nicht zur Sprache des Kurses (${TARGET_LANGUAGES[courseLanguage].label}).` }, 400);
+    }
+    course.rubric_id = rubric.id;
+  } else {
+    course.rubric_id = null;
+  }
+  await putJSON(env, "course:" + course.id, course);
+
+  return jsonResponse({ course });
+}
+
+// Validates the editable part of a rubric; returns the clean fields or { error }
+function cleanRubric(body) {
+  const { name, weighting, mediation, writing } = body || {};
+  const language = body?.language ?? DEFAULT_LANGUAGE;
+  if (!name || typeof name !== "string" || name.trim().length > 100) {
+    return { error: "Name ist erforderlich (max 100 Zeichen)." };
+  }
+  if (!isTargetLanguage(language)) {
+    return { error: `language muss ${Object.keys(TARGET_LANGUAGES).join(", ")} sein.` };
+  }
+  const isPercent = v => Number.isInteger(v) && v >= 0 && v <= 100;
+  if (!weighting || !isPercent(weighting.content) || !isPercent(weighting.language)
+      || weighting.content + weighting.language !== 100) {
+    return { error: "Die Gewichtung von Inhalt und Sprache muss zusammen 100 % ergeben." };
+  }
+  if (weighting.cap != null && clampNP(weighting.cap) !== weighting.cap) {
+    return { error: "Die Sperrklausel muss zwischen 0 und 15 NP liegen." };
+  }
+  const isText = v => typeof v === "string" && v.trim() && v.length <= MAX_RUBRIC_TEXT;
+  if (!isText(mediation?.descriptors) || !isText(writing?.descriptors)) {
+    return { error: `Die Deskriptoren beider Module sind erforderlich (max ${MAX_RUBRIC_TEXT} Zeichen).` };
+  }
+  const isRange = r => r && Number.isInteger(r.min) && Number.isInteger(r.max)
+    && r.min >= WORD_RANGE_LIMITS.min && r.max <= WORD_RANGE_LIMITS.max && r.min < r.max;
+  if (!isRange(mediation.word_range) || (writing.word_range != null && !isRange(writing.word_range))) {
+    return { error: `Wortzahlen müssen zwischen ${WORD_RANGE_LIMITS.min} und ${WORD_RANGE_LIMITS.max} liegen (min < max).` };
+  }
+  const taskWeights = writing.task_weights || {};
+  if (!["1", "2", "3"].every(task => Number.isInteger(taskWeights[task]) && taskWeights[task] > 0 && taskWeights[task] <= 100)) {
+    return { error: "Die Gewichtung der Aufgaben 1, 2 und 3 muss zwischen 1 und 100 liegen." };
+  }
+
+  return {
+    name: name.trim(),
+    language,
+    weighting: { content: weighting.content, language: weighting.language, cap: weighting.cap ?? null },
+    mediation: {
+      descriptors: mediation.descriptors.trim(),
+      word_range: { min: mediation.word_range.min, max: mediation.word_range.max }
+    },
+    writing: {
+      descriptors: writing.descriptors.trim(),
+      task_weights: { "1": taskWeights["1"], "2": taskWeights["2"], "3": taskWeights["3"] },
+      word_range: writing.word_range ? { min: writing.word_range.min, max: writing.word_range.max } : null
+    }
+  };
+}
+
+// Latest version of the course's rubric, the ISB default of the language for
+// courses without one (and for teachers, who are in no course)
+async function getCourseRubric(env, courseId, language = DEFAULT_LANGUAGE) {
+  const course = courseId ? await getJSON(env, "course:" + courseId) : null;
+  const rubric = course?.rubric_id ? await getJSON(env, "rubric:" + course.rubric_id) : null;
+  return rubric || DEFAULT_RUBRICS[language];
+}
+
+function isDefaultRubric(id) {
+  return Object.values(DEFAULT_RUBRICS).some(rubric => rubric.id === id);
+}
+
+// The exact version behind a stored "<id>@<version>" tag, or null
+async function getRubricByTag(env, tag) {
+  if (typeof tag !== "string" || tag.length > 100) return null;
+  const builtIn = Object.values(DEFAULT_RUBRICS).find(rubric => rubricTag(rubric) === tag);
+  if (builtIn) return builtIn;
+  const [id, version] = tag.split("@");
+  if (!id || !/^\d+$/.test(version || "")) return null;
+  return getJSON(env, `rubric_version:${id}:${version}`);
+}
+
+function rubricTag(rubric) {
+  return `${rubric.id}@${rubric.version}`;
+}
+
+// Tasks 3.1 and 3.2 are alternatives and share the weight of task 3
+function rubricTaskWeight(rubric, taskId) {
+  return rubric.writing.task_weights[taskId.split(".")[0]];
+}
+
+// Descriptors plus the course's settings, which override whatever weighting
+// the descriptor text itself mentions
+function rubricPrompt(rubric, type) {
+  const { content, language, cap } = rubric.weighting;
+  const { descriptors, word_range } = rubric[type];
+  const lines = [
+    `- Gewichtung: Inhalt und Textstruktur ${content} %, Sprache ${language} %. Die Gesamtnote berechnet das System.`,
+    cap != null
+      ? `- Sperrklausel: 0 NP in Inhalt ODER Sprache begrenzt die Gesamtnote auf ${cap} NP.`
+      : "- Keine Sperrklausel."
+  ];
+  if (type === "writing") {
+    const weights = rubric.writing.task_weights;
+    lines.push(`- Gewichtung der Aufgaben im Inhalt: Aufgabe 1 ${weights["1"]} %, Aufgabe 2 ${weights["2"]} %, Aufgabe 3 ${weights["3"]} %.`);
+  }
+  if (word_range) {
+    lines.push(`- Erwartete Länge: ${word_range.min}–${word_range.max} Wörter.`);
+  }
+  return `${descriptors}\n\n=== VORGABEN DES KURSES (verbindlich) ===\n${lines.join("\n")}\n`;
+}
+
+/* ================= ERROR ANNOTATIONS ================= */
+// Graders return individual errors as annotations: a verbatim quote from the
+// student text plus category, correction and explanation. The worker adds the
+// character offsets so the trainers can highlight the spans in place.
+// missing_content annotations have no quote (start/end are null).
+const ANNOTATION_CATEGORIES = [
+  "grammar",
+  "vocabulary",
+  "register",
+  "mediation_strategy",
+  "literal_translation",
+  "missing_content"
+];
+
+// Schema rule: quotes must occur verbatim so that they can be located
+function checkAnnotations(annotations, studentText) {
+  const errors = [];
+  annotations.forEach((a, i) => {
+    if (a.category === "missing_content") return;
+    if (!a.quote) errors.push(`"annotations[${i}].quote" must not be empty.`);
+    else if (!studentText.includes(a.quote)) {
+      errors.push(`"annotations[${i}].quote" (${JSON.stringify(a.quote)}) does not occur verbatim in the student text.`);
+    }
+  });
+  return errors;
+}
+
+// Adds start/end offsets. Repeated quotes are matched to successive
+// occurrences, so two annotations of the same phrase mark different spans.
+function locateAnnotations(annotations, studentText) {
+  const taken = [];
+  return annotations
+    .map(a => {
+      let start = null;
+      if (a.category !== "missing_content") {
+        start = studentText.indexOf(a.quote);
+        for (let i = start; i !== -1; i = studentText.indexOf(a.quote, i + 1)) {
+          if (!taken.some(([s, e]) => i < e && i + a.quote.length > s)) {
+            start = i;
+            break;
+          }
+        }
+        taken.push([start, start + a.quote.length]);
+      }
+      return {
+        start,
+        end: start == null ? null : start + a.quote.length,
+        quote: a.category === "missing_content" ? "" : a.quote,
+        category: a.category,
+        correction: a.correction,
+        explanation: a.explanation
+      };
+    })
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+}
+
+function countErrorCategories(annotations) {
+  const counts = {};
+  for (const a of annotations) counts[a.category] = (counts[a.category] || 0) + 1;
+  return counts;
+}
+
+/* ================= GRADING RECORDS ================= */
+// Every grading is kept for a day as "grading:<id>" together with the texts it
+// was based on. /api/submit-result takes the grading_id and archives exactly
+// this record with the result, so the teacher sees what was actually graded
+// and the scores cannot be edited in the browser on the way.
+const GRADING_TTL = 24 * 60 * 60; // seconds
+
+async function saveGrading(env, session, type, texts, grade, id = newId()) {
+  const grading = {
+    id,
+    student_id: session.student_id || null,
+    type,
+    ...texts,
+    ...grade,
+    date: new Date().toISOString()
+  };
+  await putJSON(env, "grading:" + grading.id, grading, { expirationTtl: GRADING_TTL });
+  return grading.id;
+}
+
+// Streamed single-run grading: the feedback is sent while the model writes it,
+// the scores only once the whole answer has been validated. The grading is
+// saved before the "result" event, so a trainer whose connection dropped can
+// still fetch it with the grading_id from the "start" event (/api/grading).
+function streamGrading(ctx, env, session, type, texts, call, buildGrade) {
+  return streamResponse(ctx, async send => {
+    const gradingId = newId();
+    send("start", { grading_id: gradingId });
+    const parsed = await completeJSON(env, {
+      ...call,
+      onText: jsonFieldStream("feedback", text => send("delta", { text }))
+    });
+    const grade = buildGrade(parsed);
+    await saveGrading(env, session, type, texts, grade, gradingId);
+    send("result", { ...grade, grading_id: gradingId });
+  });
+}
+
+// A finished grading of the signed-in user, without the texts it was based on
+async function handleGetGrading(request, env, session) {
+  const { grading_id } = await request.json();
+  const grading = typeof grading_id === "string" ? await getJSON(env, "grading:" + grading_id) : null;
+  if (!grading || grading.student_id !== (session.student_id || null)) {
+    return jsonResponse({ error: "Bewertung nicht gefunden." }, 404);
+  }
+  const { id, student_id, type, source_text, task, student_text, date, ...grade } = grading;
+  return jsonResponse({ ...grade, grading_id: id });
+}
+
+/* ================= OCR ================= */
+// Pages are transcribed one by one in the order the student arranged them.
+// Words the model cannot read with certainty come back as [?guess?] so the
+// trainer can make the student confirm them before the text is graded.
+const MAX_OCR_PAGES = 10;
+const UNCERTAIN_WORD_RE = /\[\?([^\[\]]*?)\?\]/g;
+
+const UNCONFIRMED_OCR_ERROR = "Der Text enthält noch unsicher erkannte Wörter ([?…?]). Bitte zuerst mit dem Foto vergleichen und bestätigen.";
+
+function countUncertainWords(text) {
+  return (String(text).match(UNCERTAIN_WORD_RE) || []).length;
+}
+
+async function handleOCR(request, env, session) {
+  const body = await request.json();
+  // `image_base64` is the old single-page form
+  const images = Array.isArray(body.images) ? body.images
+    : body.image_base64 ? [body.image_base64] : null;
+
+  if (!images || !images.length) {
+    return jsonResponse({ error: "No image provided" }, 400);
+  }
+  if (images.length > MAX_OCR_PAGES) {
+    return jsonResponse({ error: `Maximal ${MAX_OCR_PAGES} Seiten erlaubt.` }, 400);
+  }
+  // Validate Base64 format and size (~10 MB limit per page)
+  for (const img of images) {
+    if (typeof img !== "string" || !img.startsWith("data:image/")) {
+      return jsonResponse({ error: "Ungültiges Bildformat." }, 400);
+    }
+    if (img.length > 10 * 1024 * 1024) {
+      return jsonResponse({ error: "Bild ist zu groß (max 10 MB)." }, 400);
+    }
+  }
+
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
+  }
+
+  const pages = [];
+  for (let i = 0; i < images.length; i++) {
+    const pageNote = images.length > 1 ? ` This is page ${i + 1} of ${images.length}; it may start or end mid-sentence.` : "";
+    const messages = [
+      {
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text: `Transcribe this handwritten ${TARGET_LANGUAGES[language].name} text exactly as written, including accents. Preserve line breaks. Do not translate, do not correct errors.` + pageNote
+              + " If you cannot read a word with certainty, write your best guess wrapped as [?guess?]; write [??] for a word you cannot read at all. Mark only words that are really unclear. Output only the transcribed text."
+          },
+          {
+            type: "image_url",
+            image_url: { url: images[i] }
+          }
+        ]
+      }
+    ];
+
+    const text = (await callLLM(env, { session, kind: "ocr", messages, maxTokens: 2000 })).trim();
+    pages.push({ page: i + 1, text, uncertain: countUncertainWords(text) });
+  }
+
+  return jsonResponse({
+    text: pages.map(p => p.text).join("\n\n"),
+    pages,
+    uncertain: pages.reduce((sum, p) => sum + p.uncertain, 0)
+  });
+}
+
+/* ================= PARSE TASK (from uploaded images) ================= */
+async function handleParseTask(request, env, session) {
+  const body = await request.json();
+  const { images, type = "mediation" } = body; // array of base64 image strings; the module it is for
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
+  }
+  if (!RESULT_TYPES.includes(type)) {
+    return jsonResponse({ error: "Ungültiger Übungstyp." }, 400);
+  }
+  const { name } = TARGET_LANGUAGES[language];
+  // Mediation starts from a German text, writing tasks from material in the target language
+  const source = type === "writing" ? `${name} source text or material` : "German source text";
+
+  if (!images || !Array.isArray(images) || !images.length) {
+    return jsonResponse({ error: "No images provided" }, 400);
+  }
+  if (images.length > 10) {
+    return jsonResponse({ error: "Maximal 10 Bilder erlaubt." }, 400);
+  }
+  // Validate each image
+  for (const img of images) {
+    if (typeof img !== "string" || img.length > 10 * 1024 * 1024) {
+      return jsonResponse({ error: "Ein Bild ist ungültig oder zu groß (max 10 MB)." }, 400);
+    }
+  }
+  const quotaError = await chargeQuota(env, session, "/api/parse-task");
+  if (quotaError) return quotaError;
+
+  // Build content array with all images
+  const content = [
+    {
+      type: "text",
+      text: `You are looking at scanned pages of a German Abitur ${name} ${type} exam task.
+Extract the following information and return it as JSON ONLY (no markdown fences, no extra text):
+
+{
+  "headline": "Title or topic of the ${source} (if visible)",
+  "article_text": "The complete ${source}, transcribed exactly as written. Preserve paragraphs.",
+  "task_instruction": "The complete ${name} ${type} task/instructions, transcribed exactly as written."
+}
+
+Rules:
+- Transcribe the ${source} and ${name} task EXACTLY as they appear. Do not translate or modify.
+- If the text spans multiple pages/images, combine them in the correct order.
+- Preserve paragraph breaks.
+- If you cannot find a ${source} or ${name} task, set that field to an empty string.
+- Return ONLY valid JSON.`
+    }
+  ];
+
+  for (const img of images) {
+    content.push({
+      type: "image_url",
+      image_url: { url: img }
+    });
+  }
+
+  const parsed = await completeJSON(env, {
+    session,
+    schema: "parse-task",
+    kind: "parse-task",
+    messages: [{ role: "user", content }],
+    maxTokens: 4000,
+    temperature: 0.2
+  });
+  const library_id = await addToLibrary(env, {
+    type,
+    exam: parsed,
+    topic: parsed.headline,
+    level: session.level,
+    language,
+    source: "uploaded"
+  });
+  return jsonResponse({ ...parsed, library_id });
+}
+
+/* ================= MODEL ANSWER ================= */
+// `task` is still accepted under its old name `task_en`
+async function handleModelAnswer(request, env, session, ctx) {
+  const body = await request.json();
+  const { source_text_de, stream } = body;
+  const task = body.task ?? body.task_en;
+
+  if (!source_text_de || typeof source_text_de !== "string") {
+    return jsonResponse({ error: "source_text_de ist erforderlich." }, 400);
+  }
+  if (!task || typeof task !== "string") {
+    return jsonResponse({ error: "task ist erforderlich." }, 400);
+  }
+  if (source_text_de.length > 20000 || task.length > 5000) {
+    return jsonResponse({ error: "Eingabetext ist zu lang." }, 400);
+  }
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
+  }
+  // The length the course's rubric expects
+  const { word_range } = (await getCourseRubric(env, session.course_id, language)).mediation;
+
+  const systemPrompt = `Du bist ein sehr guter Oberstufenschüler (Niveau B2/C1) an einem bayerischen Gymnasium. 
+Schreibe eine Musterlösung für die folgende Mediation-Aufgabe.
+
+WICHTIGE REGELN:
+- Schreibe auf ${TARGET_LANGUAGES[language].label.toUpperCase()}.
+- Halte dich genau an die Aufgabenstellung (Textsorte, Adressat, geforderte Inhalte).
 - Verwende Mediation-Strategien: Paraphrasiere den deutschen Quelltext, übersetze NICHT wörtlich.
 - Passe Stil und Register an die Kommunikationssituation an.
 - Strukturiere den Text logisch mit Einleitung, Hauptteil und Schluss.
-- Zielumfang: ca. 200–280 Wörter (typisch für Abitur-Mediation).
+- Zielumfang: ca. ${word_range.min}–${word_range.max} Wörter.
 - Der Text soll sprachlich sehr gut sein (Niveau 5-6 BE), aber noch authentisch als Schülerarbeit wirken – also nicht übertrieben akademisch.
 
-Formatiere deine Antwort als Markdown:
-1. Zuerst die Musterlösung als Fließtext
-2. Dann unter "---" eine kurze Erklärung (3-5 Sätze auf Deutsch), welche Strategien verwendet wurden und warum bestimmte Entscheidungen getroffen wurden.`;
+Formatiere deine Antwort als Markdown:
+1. Zuerst die Musterlösung als Fließtext
+2. Dann unter "---" eine kurze Erklärung (3-5 Sätze auf Deutsch), welche Strategien verwendet wurden und warum bestimmte Entscheidungen getroffen wurden.`;
+
+  const userPrompt = `AUFGABENSTELLUNG:\n${task}\n\nDEUTSCHER QUELLTEXT:\n${source_text_de}`;
+
+  const call = {
+    session,
+    kind: "model-answer",
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: userPrompt }
+    ]
+  };
+  if (stream) {
+    return streamResponse(ctx, async send => {
+      const answer = await callLLM(env, { ...call, onText: text => send("delta", { text }) });
+      await saveModelAnswer(env, session, source_text_de, task, answer);
+      send("result", { model_answer: answer });
+    });
+  }
+
+  const answer = await callLLM(env, call);
+  await saveModelAnswer(env, session, source_text_de, task, answer);
+  return jsonResponse({ model_answer: answer });
+}
+
+// The last model answers a user has seen for a task, so that a later grading of
+// the same task can find passages copied from them (see "MEDIATION ANALYSIS")
+const MODEL_ANSWER_TTL = 14 * 24 * 60 * 60; // seconds
+const MAX_MODEL_ANSWERS = 3;
+
+function modelAnswerKey(session, sourceText, task) {
+  return `model_answer:${session.student_id || "teacher"}:${hashString(sourceText + "\n" + task).toString(36)}`;
+}
+
+async function saveModelAnswer(env, session, sourceText, task, answer) {
+  const key = modelAnswerKey(session, sourceText, task);
+  const answers = (await getJSON(env, key)) || [];
+  answers.push(answer);
+  await putJSON(env, key, answers.slice(-MAX_MODEL_ANSWERS), { expirationTtl: MODEL_ANSWER_TTL });
+}
+
+async function getModelAnswers(env, session, sourceText, task) {
+  return (await getJSON(env, modelAnswerKey(session, sourceText, task))) || [];
+}
+
+/* ================= STRUCTURED MODEL OUTPUT ================= */
+// Every JSON answer we ask the model for has a schema here. completeJSON()
+// parses and validates the reply; if it does not match, the model is asked
+// again with the list of problems. After MAX_REPAIR_ATTEMPTS failed repairs the
+// request fails with a ModelOutputError (502) instead of returning a partial
+// object. Validation messages are sent back to the model, so they are English.
+//
+// Field spec: { type: "string" | "np" | "enum" | "array", required, nonEmpty, values, items }
+//   "np" is an integer Notenpunkte score from 0 to 15, "enum" one of `values`.
+// `check(value, context)` adds cross-field rules and returns a list of errors.
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const NP = { type: "np", required: true };
+const TEXT = { type: "string", required: true, nonEmpty: true };
+const ANNOTATIONS = {
+  type: "array",
+  required: true,
+  items: {
+    quote: { type: "string", required: true },
+    category: { type: "enum", required: true, values: ANNOTATION_CATEGORIES },
+    correction: TEXT,
+    explanation: TEXT
+  }
+};
+
+const OUTPUT_SCHEMAS = {
+  "mediation-exam": {
+    fields: { headline: TEXT, article_text: TEXT, task_instruction: TEXT }
+  },
+  "writing-exam": {
+    fields: {
+      headline: TEXT,
+      source_info: TEXT,
+      article_text: TEXT,
+      task_1: TEXT,
+      task_2: TEXT,
+      task_3_1_quote: TEXT,
+      task_3_1: TEXT,
+      task_3_2_situation: TEXT,
+      task_3_2: TEXT
+    }
+  },
+  "mediation-grade": {
+    // The total is computed by the worker with the course's rubric
+    fields: {
+      inhalt_np: NP,
+      sprache_np: NP,
+      annotations: ANNOTATIONS,
+      feedback: TEXT
+    },
+    // context.studentText: the graded text, for locating annotation quotes
+    check(value, context) {
+      return checkAnnotations(value.annotations, context.studentText);
+    }
+  },
+  "writing-grade": {
+    fields: {
+      tasks: {
+        type: "array",
+        required: true,
+        items: { task: { type: "string", required: true }, inhalt_np: NP, comment: TEXT }
+      },
+      sprache_np: NP,
+      annotations: ANNOTATIONS,
+      feedback: TEXT
+    },
+    // context.taskIds: the tasks the student was asked to answer; context.studentText: the graded text
+    check(value, context) {
+      const graded = value.tasks.map(t => t.task);
+      const errors = checkAnnotations(value.annotations, context.studentText);
+      for (const id of context.taskIds) {
+        const count = graded.filter(task => task === id).length;
+        if (count !== 1) errors.push(`"tasks" must contain exactly one entry for task "${id}" (found ${count}).`);
+      }
+      for (const id of graded) {
+        if (!context.taskIds.includes(id)) errors.push(`"tasks" contains task "${id}", which was not set.`);
+      }
+      return errors;
+    }
+  },
+  // context.text: the model answer the phrases are taken from
+  phrases: {
+    fields: {
+      phrases: {
+        type: "array",
+        required: true,
+        items: { phrase: TEXT, meaning: TEXT, note: { type: "string" } }
+      }
+    },
+    check(value, context) {
+      const errors = [];
+      if (!value.phrases.length) errors.push(`"phrases" must not be empty.`);
+      value.phrases.forEach((p, i) => {
+        if (!context.text.includes(p.phrase)) {
+          errors.push(`"phrases[${i}].phrase" (${JSON.stringify(p.phrase)}) does not occur verbatim in the model answer.`);
+        }
+      });
+      return errors;
+    }
+  },
+  // Empty strings are allowed: the scan may simply not contain a part
+  "parse-task": {
+    fields: {
+      headline: { type: "string", required: true },
+      article_text: { type: "string", required: true },
+      task_instruction: { type: "string", required: true }
+    },
+    check(value) {
+      return value.article_text.trim() || value.task_instruction.trim()
+        ? []
+        : [`Neither "article_text" nor "task_instruction" was found.`];
+    }
+  }
+};
+
+class ModelOutputError extends Error {
+  constructor(schema, errors) {
+    super(`Invalid ${schema} output: ${errors.join(" ")}`);
+    this.name = "ModelOutputError";
+    this.errors = errors;
+  }
+}
+
+// callLLM() for JSON answers: returns the validated object or throws ModelOutputError.
+// `onText` only follows the first attempt; repairs run silently.
+async function completeJSON(env, { schema, context = {}, onText, ...call }) {
+  const messages = [...call.messages];
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const text = await callLLM(env, { ...call, messages, onText: attempt === 0 ? onText : undefined });
+    const result = parseModelJSON(text, schema, context);
+    if (!result.errors.length) return result.value;
+
+    errors = result.errors;
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content:
+          `Your answer was rejected for these reasons:\n- ${errors.join("\n- ")}\n\n` +
+          `Return the complete, corrected JSON object only. No markdown fences. No preamble.`
+      }
+    );
+  }
+  throw new ModelOutputError(schema, errors);
+}
+
+function parseModelJSON(text, schema, context) {
+  // Models sometimes wrap JSON in markdown fences despite the instructions
+  const clean = String(text).trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  let value;
+  try {
+    value = JSON.parse(clean);
+  } catch (err) {
+    return { errors: [`The answer is not valid JSON (${err.message}).`] };
+  }
+  const spec = OUTPUT_SCHEMAS[schema];
+  const errors = validateFields(value, spec.fields, "");
+  if (!errors.length && spec.check) errors.push(...spec.check(value, context));
+  return { value, errors };
+}
+
+function validateFields(value, fields, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return [`${path || "The answer"} must be a JSON object.`];
+  }
+  const errors = [];
+  for (const [name, field] of Object.entries(fields)) {
+    const key = path ? `${path}.${name}` : name;
+    const v = value[name];
+    if (v == null) {
+      if (field.required) errors.push(`"${key}" is missing.`);
+      continue;
+    }
+    if (field.type === "string") {
+      if (typeof v !== "string") errors.push(`"${key}" must be a string.`);
+      else if (field.nonEmpty && !v.trim()) errors.push(`"${key}" must not be empty.`);
+    } else if (field.type === "np") {
+      if (!Number.isInteger(v) || v < 0 || v > 15) errors.push(`"${key}" must be a whole number from 0 to 15 (got ${JSON.stringify(v)}).`);
+    } else if (field.type === "enum") {
+      if (!field.values.includes(v)) errors.push(`"${key}" must be one of ${field.values.join(", ")} (got ${JSON.stringify(v)}).`);
+    } else if (field.type === "array") {
+      if (!Array.isArray(v)) errors.push(`"${key}" must be an array.`);
+      else v.forEach((item, i) => errors.push(...validateFields(item, field.items, `${key}[${i}]`)));
+    }
+  }
+  return errors;
+}
+
+/* ================= LLM PROVIDERS ================= */
+// Every model call goes through callLLM(). The provider and its settings come
+// from worker vars (see wrangler.toml):
+//   LLM_PROVIDER     "openai" (default) or "mock" for offline development/tests
+//   LLM_MODEL        model name passed to the provider
+//   LLM_TEMPERATURE  default sampling temperature (calls may override it)
+//   LLM_TIMEOUT_MS   per-attempt timeout
+//   LLM_MAX_RETRIES  extra attempts after a 429 or 5xx response
+// `kind` names the purpose of the call (exam, grade, ocr, …); the mock provider
+// uses it to pick a canned response. Calls made for a session are recorded for
+// the usage statistics (see "USAGE ACCOUNTING").
+// With `onText` the answer is streamed: onText(delta) is called for every piece
+// as it arrives, and the full text is still returned at the end. LLM_TIMEOUT_MS
+// then covers the whole stream, not only the first response.
+const LLM_PROVIDERS = {
+  openai: callOpenAIProvider,
+  mock: callMockProvider
+};
+
+function getLLMConfig(env) {
+  const temperature = parseFloat(env.LLM_TEMPERATURE);
+  return {
+    provider: env.LLM_PROVIDER || "openai",
+    model: env.LLM_MODEL || "gpt-5.2",
+    temperature: Number.isFinite(temperature) ? temperature : 0.7,
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS) || 90000,
+    maxRetries: Math.max(parseInt(env.LLM_MAX_RETRIES) || 0, 0)
+  };
+}
+
+class LLMTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`LLM timeout after ${timeoutMs} ms`);
+    this.name = "LLMTimeoutError";
+  }
+}
+
+async function callLLM(env, { session, kind, messages, maxTokens = 4000, temperature, onText }) {
+  const config = getLLMConfig(env);
+  const provider = LLM_PROVIDERS[config.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${config.provider}".`);
+  }
+  const { text, usage } = await provider(env, config, {
+    kind,
+    messages,
+    maxTokens,
+    temperature: temperature ?? config.temperature,
+    onText
+  });
+  if (session && usage) await recordUsage(env, session, kind, config.model, usage);
+  return text;
+}
+
+async function callOpenAIProvider(env, config, { messages, maxTokens, temperature, onText }) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    let response;
+    try {
+      response = await fetch("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${env.OPENAI_API_KEY}`
+        },
+        body: JSON.stringify({
+          model: config.model,
+          messages,
+          temperature,
+          max_completion_tokens: maxTokens,
+          ...(onText && { stream: true, stream_options: { include_usage: true } })
+        }),
+        signal: controller.signal
+      });
+
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= config.maxRetries) {
+        // Still inside the timeout: a stream is read to the end here
+        return await readOpenAIResponse(response, onText);
+      }
+    } catch (err) {
+      if (err.name === "AbortError") throw new LLMTimeoutError(config.timeoutMs);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // Honour Retry-After when given, otherwise back off exponentially (1s, 2s, 4s …)
+    const retryAfter = parseFloat(response.headers.get("Retry-After"));
+    const delay = Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, 10000) : 1000 * 2 ** attempt;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+async function readOpenAIResponse(response, onText) {
+  if (!response.ok || !onText) {
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error?.message || `OpenAI error (${response.status})`);
+    }
+    return {
+      text: data?.choices?.[0]?.message?.content || "",
+      usage: data?.usage || null
+    };
+  }
+
+  // Server-sent events, one "data:" line per chunk; the last chunk before
+  // [DONE] carries the usage (stream_options.include_usage). Lines that are not
+  // JSON (keep-alives, a garbled chunk) are skipped rather than ending the stream.
+  const decoder = new TextDecoder();
+  let text = "", usage = null, buffer = "";
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith("data:")) continue;
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") continue;
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+      const delta = data.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+      if (data.usage) usage = data.usage;
+    }
+  }
+  return { text, usage };
+}
+
+// Deterministic offline provider: the same request always gets the same answer.
+// Scores are derived from a hash of the first user message (the actual request,
+// not a repair follow-up) so that different student texts still get different
+// (but stable) grades.
+async function callMockProvider(env, config, { kind, messages, onText }) {
+  const request = messages.find(m => m.role === "user");
+  const input = typeof request?.content === "string"
+    ? request.content
+    : JSON.stringify(request?.content || "");
+  const seed = hashString(input);
+  const np = offset => 5 + ((seed >>> offset) % 9); // 5–13 NP
+
+  let text;
+  switch (kind) {
+    case "mediation-exam":
+      text = JSON.stringify(MOCK_RESPONSES.mediationExam);
+      break;
+    case "writing-exam":
+      text = JSON.stringify(MOCK_RESPONSES.writingExam);
+      break;
+    case "grade": {
+      const inhalt = np(0), sprache = np(4);
+      text = JSON.stringify({
+        inhalt_np: inhalt,
+        sprache_np: sprache,
+        annotations: [...mockAnnotations(input), MOCK_RESPONSES.missingContent],
+        feedback: MOCK_RESPONSES.feedback
+      });
+      break;
+    }
+    case "grade-writing": {
+      const taskIds = [...input.matchAll(/^Aufgabe (1|2|3\.1|3\.2) \(/gm)].map(m => m[1]);
+      text = JSON.stringify({
+        tasks: taskIds.map((task, i) => ({ task, inhalt_np: np(i * 4), comment: "Mock-Kommentar zu dieser Aufgabe." })),
+        sprache_np: np(12),
+        annotations: mockAnnotations(input),
+        feedback: MOCK_RESPONSES.feedback
+      });
+      break;
+    }
+    case "ocr":
+      text = MOCK_RESPONSES.transcription;
+      break;
+    case "parse-task":
+      text = JSON.stringify({
+        headline: MOCK_RESPONSES.mediationExam.headline,
+        article_text: MOCK_RESPONSES.mediationExam.article_text,
+        task_instruction: MOCK_RESPONSES.mediationExam.task_instruction
+      });
+      break;
+    case "model-answer":
+      text = MOCK_RESPONSES.modelAnswer;
+      break;
+    case "phrases": {
+      // The first words of each sentence, so they occur verbatim
+      const answer = input.replace(/^Musterlösung:\n/, "");
+      const phrases = [...answer.matchAll(/[A-Za-z][^.!?…\n]*/g)]
+        .map(m => m[0].split(/\s+/).slice(0, 4).join(" "))
+        .filter(phrase => answer.includes(phrase))
+        .slice(0, 5);
+      text = JSON.stringify({
+        phrases: phrases.map(phrase => ({ phrase, meaning: "Mock-Bedeutung", note: "Mock-Verwendung." }))
+      });
+      break;
+    }
+    default:
+      throw new Error(`Mock provider has no response for kind "${kind}".`);
+  }
+  if (onText) {
+    for (let i = 0; i < text.length; i += MOCK_CHUNK_LENGTH) onText(text.slice(i, i + MOCK_CHUNK_LENGTH));
+  }
+
+  const promptTokens = Math.ceil(input.length / 4);
+  const completionTokens = Math.ceil(text.length / 4);
+  return {
+    text,
+    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+  };
+}
+
+const MOCK_CHUNK_LENGTH = 40; // characters per streamed piece
+
+// One grammar annotation on the first longer word of the student text
+function mockAnnotations(input) {
+  const studentText = input.match(/Schülertext[^:]*:\n([\s\S]*?)\n\n(?:Automatische Textanalyse|Bewertungsraster):/)?.[1] || "";
+  const word = studentText.match(/[A-Za-z]{4,}/)?.[0];
+  return word
+    ? [{ quote: word, category: "grammar", correction: word.toLowerCase(), explanation: "Mock-Erklärung zu diesem Fehler." }]
+    : [];
+}
+
+const MOCK_RESPONSES = {
+  mediationExam: {
+    headline: "Die Stadt, die niemals schläft – und ihre Bewohner auch nicht",
+    article_text: "Es ist kurz nach Mitternacht in Regensburg, doch auf der Steinernen Brücke ist es taghell. Strahler beleuchten die Fassaden, Schaufenster leuchten, und über der Donau liegt ein orangefarbener Schleier.\n\nWas für Touristen romantisch wirkt, ist für Biologen ein Alarmsignal. \"Künstliches Licht ist eine der am meisten unterschätzten Formen der Umweltverschmutzung\", sagt die Ökologin Maria Berger. Insekten verlieren die Orientierung, Zugvögel kommen vom Kurs ab.\n\nAuch der Mensch leidet: Wer nachts im Hellen liegt, schläft schlechter. Einige Gemeinden schalten deshalb ab Mitternacht jede zweite Straßenlaterne ab – und sparen dabei auch noch Geld.",
+    task_instruction: "You are taking part in an international youth project on environmental issues. Participants have been asked to write about a local challenge in their home country for the project website. Write an article on how artificial light affects people and nature in Germany and what some towns are doing about it."
+  },
+  writingExam: {
+    headline: "The Quiet Cost of Always Being Online",
+    source_info: "Sarah Mitchell, The Guardian, 15.03.2025",
+    article_text: "Every morning, before she has even opened her eyes properly, Emma reaches for her phone. It is a ritual shared by millions.\n\nYet a growing body of research suggests that this constant connection comes at a price. Attention spans shrink, sleep suffers, and conversations are interrupted by the familiar buzz of notifications.\n\nStill, few are willing to switch off. \"Being offline feels like being invisible,\" one teenager told me. Perhaps that is the real problem.",
+    task_1: "Outline the main arguments presented in the article concerning the effects of constant connectivity.",
+    task_2: "Analyse the writer's attitude towards constant connectivity. Focus on the use of language.",
+    task_3_1_quote: "Being offline feels like being invisible. (l. 9)",
+    task_3_1: "Taking the quotation as a starting point, discuss the role social media plays in young people's lives.",
+    task_3_2_situation: "Your school is organising a digital detox week.",
+    task_3_2: "Write a speech in which you try to convince your fellow students to take part."
+  },
+  feedback: "### Inhalt & Textstruktur\nMock-Feedback: Die Aufgabe wurde im Wesentlichen erfüllt.\n\n### Sprache\nMock-Feedback: Überwiegend korrekt, einzelne Grammatikfehler.\n\n### Positive Aspekte\n- Klare Gliederung.",
+  missingContent: { quote: "", category: "missing_content", correction: "Mock: the savings for towns", explanation: "Mock-Erklärung: Dieser Aspekt des Quelltexts fehlt." },
+  transcription: "Light pollution is a growing problem in Germany.\nMany towns now switch off [?street?] lights after midnight.",
+  modelAnswer: "Light pollution is a problem that many Germans are only beginning to notice …\n\n---\nMock-Erklärung: Der Text paraphrasiert den Quelltext und passt das Register an eine Website an."
+};
+
+/* ================= STREAMING (server-sent events) ================= */
+// With `stream: true`, /api/grade (single run), /api/grade-writing and
+// /api/model-answer answer with text/event-stream instead of JSON:
+//   event: start    { grading_id }   gradings only, before the model is called
+//   event: delta    { text }         next piece of the feedback / model answer
+//   event: result   the same body the JSON response would have
+//   event: error    { error }        replaces the 4xx/5xx status, see describeError()
+// Input errors are still plain JSON responses, sent before the stream opens.
+// A comment line every SSE_KEEPALIVE_MS keeps proxies from closing the
+// connection while the model is thinking. The work runs on under
+// ctx.waitUntil when the client goes away, so a grading is saved anyway.
+const SSE_KEEPALIVE_MS = 15 * 1000;
+
+function streamResponse(ctx, run) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  let open = true;
+  const write = chunk => {
+    if (!open) return;
+    writer.write(encoder.encode(chunk)).catch(() => { open = false; }); // client disconnected
+  };
+  const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const keepAlive = setInterval(() => write(": keep-alive\n\n"), SSE_KEEPALIVE_MS);
+
+  const done = run(send)
+    .catch(err => {
+      console.error("API Error (stream):", err.message);
+      send("error", { error: describeError(err).error });
+    })
+    .finally(() => {
+      clearInterval(keepAlive);
+      if (open) writer.close().catch(() => {});
+    });
+  ctx?.waitUntil(done);
+
+  return new Response(readable, {
+    headers: {
+      ...corsHeaders(currentOrigin),
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache"
+    }
+  });
+}
+
+// onText handler for a JSON answer that reports the growing value of one string
+// field as it is written. The grading prompts ask for "feedback" last, after
+// the scores and annotations.
+function jsonFieldStream(field, onValue) {
+  let raw = "";
+  let sent = 0;
+  return delta => {
+    raw += delta;
+    const value = partialJSONString(raw, field);
+    if (value && value.length > sent) {
+      onValue(value.slice(sent));
+      sent = value.length;
+    }
+  };
+}
+
+const JSON_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// The decoded value of `field` in unfinished JSON, as far as it is complete
+function partialJSONString(text, field) {
+  const start = text.match(new RegExp(`"${field}"\\s*:\\s*"`));
+  if (!start) return null;
+  let value = "";
+  for (let i = start.index + start[0].length; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"') break;
+    if (c !== "\\") {
+      value += c;
+      continue;
+    }
+    const next = text[i + 1];
+    if (next === "u") {
+      if (i + 6 > text.length) break; // escape not complete yet
+      value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+      i += 5;
+    } else if (next !== undefined) {
+      value += JSON_ESCAPES[next] ?? next;
+      i++;
+    }
+  }
+  return value;
+}
+
+/* ================= USAGE ACCOUNTING ================= */
+// Every model call is recorded as "usage:<YYYY-MM-DD>:<id>"; all figures sit in
+// the key metadata, so /api/usage aggregates a range by listing keys only.
+// Prices and the budget are worker vars (see wrangler.toml):
+//   LLM_PRICE_INPUT, LLM_PRICE_OUTPUT  USD per 1M prompt / completion tokens
+//   USAGE_MONTHLY_BUDGET               USD per calendar month, 0 = no budget
+const USAGE_TTL = 400 * 24 * 60 * 60; // seconds – a school year plus margin
+const MAX_USAGE_DAYS = 92;
+const BUDGET_WARNING_SHARE = 0.8;     // warn once 80% of the budget is used
+
+function usagePrices(env) {
+  const input = parseFloat(env.LLM_PRICE_INPUT);
+  const output = parseFloat(env.LLM_PRICE_OUTPUT);
+  return {
+    input: Number.isFinite(input) ? input : 0,
+    output: Number.isFinite(output) ? output : 0
+  };
+}
+
+async function recordUsage(env, session, kind, model, usage) {
+  const prices = usagePrices(env);
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const metadata = {
+    kind,
+    model,
+    course_id: session.course_id || null,
+    student_id: session.student_id || null,
+    student_name: session.student_name || null,
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    cost: (promptTokens * prices.input + completionTokens * prices.output) / 1e6
+  };
+  const day = new Date().toISOString().slice(0, 10);
+  try {
+    await env.RESULTS_KV.put(`usage:${day}:${newId()}`, "", { metadata, expirationTtl: USAGE_TTL });
+  } catch (e) {
+    // Accounting must never fail the student's request
+    console.error("Nutzung konnte nicht gespeichert werden:", e.message);
+  }
+}
+
+// Sums up the usage records of the given days (YYYY-MM-DD strings)
+async function sumUsage(env, days, courseId) {
+  const emptyUsage = () => ({ calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 });
+  const add = (entry, m) => {
+    entry.calls++;
+    entry.prompt_tokens += m.prompt_tokens;
+    entry.completion_tokens += m.completion_tokens;
+    entry.cost += m.cost;
+    return entry;
+  };
+  const totals = emptyUsage();
+  const byDay = {}, byKind = {}, byCourse = {}, byStudent = {};
+
+  for (const day of days) {
+    byDay[day] = emptyUsage();
+    for (const { metadata: m } of await listKeys(env, `usage:${day}:`)) {
+      if (!m || (courseId && m.course_id !== courseId)) continue;
+      add(totals, m);
+      add(byDay[day], m);
+      add(byKind[m.kind] ||= emptyUsage(), m);
+      add(byCourse[m.course_id || "teacher"] ||= emptyUsage(), m);
+      if (m.student_id) add(byStudent[m.student_id] ||= { name: m.student_name, ...emptyUsage() }, m);
+    }
+  }
+  return { totals, by_day: byDay, by_kind: byKind, by_course: byCourse, by_student: byStudent };
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += 24 * 60 * 60 * 1000) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+async function handleGetUsage(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { from, to, course_id } = await request.json();
+  const now = new Date();
+  const today = now.toISOString().slice(0, 10);
+  const monthStart = today.slice(0, 8) + "01";
+  const isDay = d => typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d) && isValidDate(d);
+  if ((from != null && !isDay(from)) || (to != null && !isDay(to))) {
+    return jsonResponse({ error: "from und to müssen Daten im Format JJJJ-MM-TT sein." }, 400);
+  }
+  if (course_id != null && typeof course_id !== "string") {
+    return jsonResponse({ error: "Ungültiger Filter: course_id." }, 400);
+  }
+  const days = daysBetween(from || monthStart, to || today);
+  if (!days.length || days.length > MAX_USAGE_DAYS) {
+    return jsonResponse({ error: `Der Zeitraum muss 1 bis ${MAX_USAGE_DAYS} Tage umfassen.` }, 400);
+  }
+
+  const usage = await sumUsage(env, days, course_id || null);
+
+  // Course names for the breakdown
+  for (const id of Object.keys(usage.by_course)) {
+    const course = id === "teacher" ? null : await getJSON(env, "course:" + id);
+    usage.by_course[id].name = id === "teacher" ? "Lehrkraft" : course?.name || "gelöschter Kurs";
+  }
+
+  // The budget always refers to the current calendar month of all courses
+  const budget = parseFloat(env.USAGE_MONTHLY_BUDGET);
+  let month = null;
+  if (Number.isFinite(budget) && budget > 0) {
+    const { totals } = await sumUsage(env, daysBetween(monthStart, today), null);
+    const daysInMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0)).getUTCDate();
+    const elapsed = (now - Date.parse(monthStart)) / (daysInMonth * 24 * 60 * 60 * 1000);
+    const projected = elapsed > 0 ? totals.cost / elapsed : totals.cost;
+    month = {
+      budget,
+      cost: totals.cost,
+      projected,
+      warning: totals.cost >= budget * BUDGET_WARNING_SHARE || projected > budget
+    };
+  }
+
+  return jsonResponse({
+    from: days[0],
+    to: days[days.length - 1],
+    currency: "USD",
+    prices: usagePrices(env),
+    ...usage,
+    budget: month
+  });
+}
+
+/* ================= MOCK ABITUR ================= */
+// A full written exam in one sitting: Teil B (Textproduktion) and Teil C
+// (Sprachmittlung) under one common time limit. The clock starts on the server
+// with /api/start-abitur and cannot be paused; reloading or closing the page
+// does not stop it. While it runs, the page reports when the student leaves the
+// tab or pastes text (/api/abitur-events), and teachers see this log with the
+// result. Both parts are graded by /api/grade and /api/grade-writing as usual;
+// /api/finish-abitur combines the two gradings into one result of type "abitur".
+//   abitur:<student_id>   the student's current simulation (one at a time)
+//
+// Teil A (Hörverstehen) is not simulated. B and C keep their share of the
+// whole exam (60 % and 20 %), rescaled to 100 % like the writing tasks.
+const ABITUR_PARTS = {
+  writing: { label: "Teil B: Textproduktion", weight: 60, minutes: { gA: 150, eA: 180 } },
+  mediation: { label: "Teil C: Sprachmittlung", weight: 20, minutes: { gA: 60, eA: 60 } }
+};
+const ABITUR_TTL = 2 * 24 * 60 * 60; // seconds – an abandoned simulation expires
+const ABITUR_EVENT_TYPES = ["leave", "return", "paste"];
+const MAX_ABITUR_EVENTS = 500;
+const MAX_EVENTS_PER_REPORT = 100;
+
+async function handleStartAbitur(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const running = await getRunningAbitur(env, session.student_id);
+  if (running) {
+    return jsonResponse({ abitur: publicAbitur(running), resumed: true, server_time: new Date().toISOString() });
+  }
+
+  const { writing, mediation, prompt_versions } = await request.json();
+  const exams = { writing: cleanExamFields(writing), mediation: cleanExamFields(mediation) };
+  for (const [part, exam] of Object.entries(exams)) {
+    if (exam.error) {
+      return jsonResponse({ error: `${ABITUR_PARTS[part].label} – ${exam.error}` }, 400);
+    }
+  }
+  if (!exams.writing.task_1 || !exams.writing.task_2 || !exams.writing.task_3_1 || !exams.writing.task_3_2) {
+    return jsonResponse({ error: "Teil B braucht die Aufgaben 1, 2, 3.1 und 3.2." }, 400);
+  }
+  if (!exams.mediation.task_instruction) {
+    return jsonResponse({ error: "Teil C braucht eine Aufgabenstellung." }, 400);
+  }
+  const versions = prompt_versions || {};
+  if (typeof versions !== "object" || Object.values(versions).some(v => v != null && !isKnownPromptTag(v))) {
+    return jsonResponse({ error: "Ungültige prompt_versions." }, 400);
+  }
+
+  const level = session.level === "eA" ? "eA" : "gA";
+  const minutes = Object.values(ABITUR_PARTS).reduce((sum, p) => sum + p.minutes[level], 0);
+  const now = Date.now();
+  const abitur = {
+    id: newId(),
+    student_id: session.student_id,
+    level,
+    exams,
+    prompt_versions: { writing: versions.writing || null, mediation: versions.mediation || null },
+    minutes,
+    started_at: new Date(now).toISOString(),
+    deadline: new Date(now + minutes * 60000).toISOString(),
+    events: [],
+    dropped_events: 0
+  };
+  await putJSON(env, "abitur:" + session.student_id, abitur, { expirationTtl: ABITUR_TTL });
+
+  return jsonResponse({ abitur: publicAbitur(abitur), resumed: false, server_time: new Date(now).toISOString() });
+}
+
+// The running simulation of the signed-in student (or null) and the exam parts
+async function handleGetAbitur(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const running = await getRunningAbitur(env, session.student_id);
+  return jsonResponse({
+    abitur: running ? publicAbitur(running) : null,
+    parts: ABITUR_PARTS,
+    server_time: new Date().toISOString()
+  });
+}
+
+async function handleCancelAbitur(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { id } = await request.json();
+  const running = await getRunningAbitur(env, session.student_id);
+  if (!running || running.id !== id) {
+    return jsonResponse({ error: "Keine laufende Abitur-Simulation." }, 404);
+  }
+  await env.RESULTS_KV.delete("abitur:" + session.student_id);
+  return jsonResponse({ success: true });
+}
+
+// Batches of { type: "leave" | "return" | "paste", part, at, chars }. The page
+// sends them every few seconds and when the tab is hidden, so a few may arrive
+// after the deadline; they are kept until the simulation is finished.
+async function handleAbiturEvents(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { id, events } = await request.json();
+  const abitur = await getRunningAbitur(env, session.student_id);
+  if (!abitur || abitur.id !== id) {
+    return jsonResponse({ error: "Keine laufende Abitur-Simulation." }, 404);
+  }
+  if (!Array.isArray(events) || events.length > MAX_EVENTS_PER_REPORT) {
+    return jsonResponse({ error: `events muss eine Liste mit höchstens ${MAX_EVENTS_PER_REPORT} Einträgen sein.` }, 400);
+  }
+
+  const earliest = Date.parse(abitur.started_at) - 60000;
+  const latest = Date.now() + 60000;
+  const clean = [];
+  for (const event of events) {
+    const at = isValidDate(event?.at) ? Date.parse(event.at) : NaN;
+    if (!ABITUR_EVENT_TYPES.includes(event?.type) || !(at >= earliest && at <= latest)) {
+      return jsonResponse({ error: "Ungültiges Ereignis." }, 400);
+    }
+    clean.push({
+      type: event.type,
+      part: ABITUR_PARTS[event.part] ? event.part : null,
+      at: new Date(at).toISOString(),
+      ...(event.type === "paste" ? { chars: Number.isInteger(event.chars) ? Math.min(Math.max(event.chars, 0), 100000) : 0 } : {})
+    });
+  }
+
+  const room = MAX_ABITUR_EVENTS - abitur.events.length;
+  abitur.events.push(...clean.slice(0, Math.max(room, 0)));
+  abitur.dropped_events += Math.max(clean.length - Math.max(room, 0), 0);
+  await putJSON(env, "abitur:" + session.student_id, abitur, { expirationTtl: ABITUR_TTL });
+
+  return jsonResponse({ success: true, count: abitur.events.length });
+}
+
+// Takes the grading_id of each part (null for a part that was not handed in,
+// which counts 0 NP) and stores the combined result.
+async function handleFinishAbitur(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { id, gradings } = await request.json();
+  const abitur = await getRunningAbitur(env, session.student_id);
+  if (!abitur || abitur.id !== id) {
+    return jsonResponse({ error: "Keine laufende Abitur-Simulation." }, 404);
+  }
+  if (!gradings || typeof gradings !== "object") {
+    return jsonResponse({ error: "gradings ist erforderlich." }, 400);
+  }
+
+  const graded = {};
+  for (const part of Object.keys(ABITUR_PARTS)) {
+    const gradingId = gradings[part];
+    if (gradingId == null) {
+      graded[part] = null;
+      continue;
+    }
+    const grading = typeof gradingId === "string" ? await getJSON(env, "grading:" + gradingId) : null;
+    if (!grading || grading.student_id !== session.student_id || grading.type !== part
+        || grading.source_text !== abitur.exams[part].article_text) {
+      return jsonResponse({ error: `Bewertung für ${ABITUR_PARTS[part].label} nicht gefunden oder abgelaufen.` }, 400);
+    }
+    graded[part] = grading;
+  }
+  if (!graded.writing && !graded.mediation) {
+    return jsonResponse({ error: "Es wurde kein Prüfungsteil bewertet." }, 400);
+  }
+
+  const student = await getJSON(env, "student:" + session.student_id);
+  const course = await getJSON(env, "course:" + session.course_id);
+  if (!student || !course) {
+    return jsonResponse({ error: "Schülerkonto nicht gefunden." }, 401);
+  }
+
+  const parts = {};
+  for (const [part, { weight }] of Object.entries(ABITUR_PARTS)) {
+    const scores = graded[part]?.scores || { content_textstructure: 0, language: 0, total: 0 };
+    parts[part] = {
+      weight,
+      handed_in: !!graded[part],
+      content: scores.content_textstructure,
+      language: scores.language,
+      total: scores.total,
+      task_scores: graded[part]?.task_scores
+        ? graded[part].task_scores.map(t => ({ task: t.task, weight: t.weight, content: t.content }))
+        : null
+    };
+  }
+  const weighted = field => {
+    const weightSum = Object.values(parts).reduce((sum, p) => sum + p.weight, 0);
+    return Math.round(Object.values(parts).reduce((sum, p) => sum + p[field] * p.weight, 0) / weightSum);
+  };
+  const combined = { content: weighted("content"), language: weighted("language"), total: weighted("total") };
+  const now = Date.now();
+
+  const result = {
+    id: newId(),
+    student_id: student.id,
+    student_name: student.name,
+    course_id: course.id,
+    course: course.name,
+    type: "abitur",
+    topic: [abitur.exams.writing.headline, abitur.exams.mediation.headline].filter(Boolean).join(" · ") || "Abitur-Simulation",
+    ...combined,
+    task_scores: null,
+    consistency: null,
+    error_counts: null,
+    ai_scores: combined,
+    teacher_grade: null,
+    has_submission: true,
+    assignment_id: null,
+    assignment_title: null,
+    late: now > Date.parse(abitur.deadline) + LATE_GRACE_MS,
+    parts,
+    integrity: summarizeAbiturEvents(abitur),
+    abitur: { level: abitur.level, minutes: abitur.minutes, started_at: abitur.started_at, deadline: abitur.deadline },
+    prompt_versions: {
+      exam: abitur.prompt_versions.writing || abitur.prompt_versions.mediation || null,
+      grading: graded.writing?.prompt_version || graded.mediation?.prompt_version || null
+    },
+    rubric_version: graded.writing?.rubric_version || graded.mediation?.rubric_version || null,
+    target_language: graded.writing?.target_language || graded.mediation?.target_language || session.language || DEFAULT_LANGUAGE,
+    date: new Date(now).toISOString()
+  };
+  await saveResult(env, result);
+
+  const submissionParts = {};
+  for (const part of Object.keys(ABITUR_PARTS)) {
+    const grading = graded[part];
+    submissionParts[part] = grading
+      ? {
+          source_text: grading.source_text,
+          task: grading.task,
+          student_text: grading.student_text,
+          feedback: grading.feedback,
+          annotations: grading.annotations || [],
+          graded_at: grading.date
+        }
+      : { source_text: abitur.exams[part].article_text, task: null, student_text: "", feedback: "", annotations: [] };
+  }
+  await putJSON(env, "submission:" + result.id, { parts: submissionParts, events: abitur.events });
+  for (const grading of Object.values(graded).filter(Boolean)) {
+    await collectCorrections(env, student.id, grading);
+  }
+
+  await Promise.all(Object.values(graded).filter(Boolean).map(g => env.RESULTS_KV.delete("grading:" + g.id)));
+  await env.RESULTS_KV.delete("abitur:" + session.student_id);
+
+  return jsonResponse({ success: true, result });
+}
+
+async function getRunningAbitur(env, studentId) {
+  return getJSON(env, "abitur:" + studentId);
+}
+
+function publicAbitur(abitur) {
+  const { events, dropped_events, student_id, ...rest } = abitur;
+  return { ...rest, parts: ABITUR_PARTS };
+}
+
+// Counts for the dashboard: how often and how long the tab was left, how often
+// and how much text was pasted. An unfinished "leave" counts until the deadline.
+function summarizeAbiturEvents(abitur) {
+  const summary = { leaves: 0, away_seconds: 0, pastes: 0, pasted_chars: 0, events: abitur.events.length + abitur.dropped_events };
+  let leftAt = null;
+  const sorted = [...abitur.events].sort((a, b) => a.at.localeCompare(b.at));
+  for (const event of sorted) {
+    if (event.type === "leave" && leftAt == null) {
+      summary.leaves++;
+      leftAt = Date.parse(event.at);
+    } else if (event.type === "return" && leftAt != null) {
+      summary.away_seconds += Math.round((Date.parse(event.at) - leftAt) / 1000);
+      leftAt = null;
+    } else if (event.type === "paste") {
+      summary.pastes++;
+      summary.pasted_chars += event.chars || 0;
+    }
+  }
+  if (leftAt != null) {
+    summary.away_seconds += Math.max(Math.round((Date.parse(abitur.deadline) - leftAt) / 1000), 0);
+  }
+  return summary;
+}
+
+/* ================= DASHBOARD: SUBMIT RESULT ================= */
+async function handleSubmitResult(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { type, topic, grading_id, assignment_id, prompt_versions, date } = await request.json();
+
+  if (type && !RESULT_TYPES.includes(type)) {
+    return jsonResponse({ error: "Ungültiger Übungstyp." }, 400);
+  }
+  if (topic && (typeof topic !== "string" || topic.length > 500)) {
+    return jsonResponse({ error: "topic ist zu lang." }, 400);
+  }
+
+  // Scores and the full submission are taken from the stored grading – a
+  // student cannot report a score of their own
+  if (grading_id == null) {
+    return jsonResponse({ error: "grading_id ist erforderlich." }, 400);
+  }
+  const grading = typeof grading_id === "string" ? await getJSON(env, "grading:" + grading_id) : null;
+  if (!grading || grading.student_id !== session.student_id || grading.type !== (type || "mediation")) {
+    return jsonResponse({ error: "Bewertung nicht gefunden oder abgelaufen." }, 400);
+  }
+  const versions = prompt_versions || {};
+  if (typeof versions !== "object" || Object.values(versions).some(v => v != null && !isKnownPromptTag(v))) {
+    return jsonResponse({ error: "Ungültige prompt_versions." }, 400);
+  }
+
+  // Identity comes from the session, never from the request body
+  const student = await getJSON(env, "student:" + session.student_id);
+  const course = await getJSON(env, "course:" + session.course_id);
+  if (!student || !course) {
+    return jsonResponse({ error: "Schülerkonto nicht gefunden." }, 401);
+  }
+
+  // Only a grading of the assignment's own text counts as its submission, and
+  // only within the deadline and time limit
+  let assignment = null;
+  if (assignment_id != null) {
+    assignment = typeof assignment_id === "string" ? await getJSON(env, "assignment:" + assignment_id) : null;
+    if (!assignment || assignment.course_id !== course.id || assignment.type !== (type || "mediation")) {
+      return jsonResponse({ error: "Aufgabe nicht gefunden." }, 400);
+    }
+    if (grading.source_text !== assignment.exam.article_text) {
+      return jsonResponse({ error: "Diese Bewertung gehört nicht zu der Aufgabe." }, 400);
+    }
+    if (await isLateSubmission(env, assignment, student.id)) {
+      return jsonResponse({ error: "Die Abgabefrist oder Bearbeitungszeit dieser Aufgabe ist abgelaufen." }, 400);
+    }
+  }
+
+  const graded = {
+    content: grading.scores.content_textstructure,
+    language: grading.scores.language,
+    total: grading.scores.total,
+    task_scores: grading.task_scores || null,
+    consistency: grading.consistency || null,
+    error_counts: grading.error_counts || null
+  };
+
+  const result = {
+    id: newId(),
+    student_id: student.id,
+    student_name: student.name,
+    course_id: course.id,
+    course: course.name,
+    type: type || "mediation",
+    topic: topic || "—",
+    content: graded.content,
+    language: graded.language,
+    total: graded.total,
+    // Gradings carry the weights of their rubric
+    task_scores: graded.task_scores
+      ? graded.task_scores.map(t => ({ task: t.task, weight: t.weight, content: t.content ?? null }))
+      : null,
+    consistency: graded.consistency
+      ? {
+          runs: graded.consistency.runs,
+          spread: {
+            content_textstructure: graded.consistency.spread?.content_textstructure ?? null,
+            language: graded.consistency.spread?.language ?? null,
+            total: graded.consistency.spread?.total ?? null
+          },
+          uncertain: graded.consistency.uncertain
+        }
+      : null,
+    error_counts: graded.error_counts,
+    // The AI grade stays on record when a teacher overrides the scores above
+    ai_scores: { content: graded.content, language: graded.language, total: graded.total },
+    teacher_grade: null,
+    has_submission: true,
+    assignment_id: assignment ? assignment.id : null,
+    assignment_title: assignment ? assignment.title : null,
+    prompt_versions: {
+      exam: versions.exam || null,
+      grading: grading.prompt_version
+    },
+    rubric_version: grading.rubric_version || null,
+    target_language: grading.target_language || session.language || DEFAULT_LANGUAGE,
+    date: isValidDate(date) ? new Date(date).toISOString() : new Date().toISOString()
+  };
+  await saveResult(env, result);
+
+  await putJSON(env, "submission:" + result.id, {
+    source_text: grading.source_text,
+    task: grading.task,
+    student_text: grading.student_text,
+    feedback: grading.feedback,
+    annotations: grading.annotations || [],
+    graded_at: grading.date
+  });
+  // Corrections go to the student's phrase bank (see "PHRASE BANK")
+  const phrasesAdded = await collectCorrections(env, student.id, grading);
+  // A grading can be submitted only once
+  await env.RESULTS_KV.delete("grading:" + grading.id);
+
+  return jsonResponse({ success: true, id: result.id, phrases_added: phrasesAdded });
+}
+
+/* ================= DASHBOARD: RESULT DETAIL & TEACHER OVERRIDE ================= */
+// The archived submission (texts, task, AI feedback) of one result
+async function handleResultDetail(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { result_id } = await request.json();
+  const result = typeof result_id === "string" ? await getJSON(env, "result:" + result_id) : null;
+  if (!result) {
+    return jsonResponse({ error: "Ergebnis nicht gefunden." }, 404);
+  }
+  const submission = await getJSON(env, "submission:" + result.id);
+
+  return jsonResponse({ result, submission });
+}
+
+// Sets the teacher's scores (they replace content/language/total, the AI grade
+// stays in ai_scores). Sending content and language as null withdraws the override.
+async function handleOverrideResult(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { result_id, content, language, comment } = await request.json();
+  const result = typeof result_id === "string" ? await getJSON(env, "result:" + result_id) : null;
+  if (!result) {
+    return jsonResponse({ error: "Ergebnis nicht gefunden." }, 404);
+  }
+  if (result.type === "abitur") {
+    return jsonResponse({ error: "Die Abitur-Simulation wird über die Teilnoten bewertet und kann nicht überschrieben werden." }, 400);
+  }
+  const ai = result.ai_scores || { content: result.content, language: result.language, total: result.total };
+
+  if (content == null && language == null) {
+    Object.assign(result, ai, { ai_scores: ai, teacher_grade: null });
+  } else {
+    if (clampNP(content) !== content || clampNP(language) !== language) {
+      return jsonResponse({ error: "content und language müssen ganze Zahlen von 0 bis 15 sein." }, 400);
+    }
+    if (comment != null && (typeof comment !== "string" || comment.length > 2000)) {
+      return jsonResponse({ error: "Kommentar ist zu lang (max 2000 Zeichen)." }, 400);
+    }
+    // Recomputed with the rubric the result was graded with
+    const rubric = (await getRubricByTag(env, result.rubric_version)) || DEFAULT_RUBRIC;
+    const total = computeTotal(content, language, rubric.weighting);
+    Object.assign(result, { content, language, total }, {
+      ai_scores: ai,
+      teacher_grade: { content, language, total, comment: (comment || "").trim(), date: new Date().toISOString() }
+    });
+  }
+  await putJSON(env, "result:" + result.id, result);
+
+  return jsonResponse({ result });
+}
+
+/* ================= STUDENT: OWN RESULTS ================= */
+// A student's own results, including teacher corrections
+async function handleMyResults(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { type, limit, cursor } = await request.json();
+  if (type != null && !ALL_RESULT_TYPES.includes(type)) {
+    return jsonResponse({ error: "Ungültiger Übungstyp." }, 400);
+  }
+  if (cursor != null && (typeof cursor !== "string" || cursor.length > 500)) {
+    return jsonResponse({ error: "Ungültiger Filter: cursor." }, 400);
+  }
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_RESULTS_PAGE);
+
+  const page = await queryResults(env, { student_id: session.student_id, type }, pageSize, cursor);
+  return jsonResponse(page);
+}
+
+/* ================= STUDENT: PRACTICE HISTORY ================= */
+// The progress view of each trainer, stored on the server so it is the same on
+// every device. Each entry is its own KV key with the entry as metadata:
+//   history:<student_id>:<module>:<date>:<topic hash>
+// so saves from two devices never overwrite each other, and the same entry
+// sent twice lands on the same key.
+// Students may delete entries here; the results teachers see stay untouched.
+const MAX_HISTORY_ENTRIES = 500;
+const MAX_HISTORY_IMPORT = 400; // per request – one KV write per entry
+const MAX_HISTORY_TOPIC = 200; // keeps the metadata under KV's 1024 bytes
+const HISTORY_MATCH_WINDOW = 10 * 60 * 1000; // ms, see classifyHistoryEntry
+
+function historyPrefix(studentId, module) {
+  return `history:${studentId}:${module}:`;
+}
+
+function historyEntryKey(studentId, module, entry) {
+  return historyPrefix(studentId, module) + entry.date + ":" + hashString(entry.topic).toString(36);
+}
+
+async function putHistoryEntry(env, studentId, module, entry) {
+  await env.RESULTS_KV.put(historyEntryKey(studentId, module, entry), "", { metadata: entry });
+}
+
+// Entries of one module, oldest first, each with the KV key it is stored under
+async function listHistory(env, studentId, module) {
+  return (await listKeys(env, historyPrefix(studentId, module)))
+    .map(k => ({ key: k.name, entry: k.metadata }));
+}
+
+async function readHistory(env, studentId, module) {
+  return (await listHistory(env, studentId, module)).map(h => h.entry);
+}
+
+// Returns false when the KV budget ran out first (see withKVBudget)
+async function deleteHistory(env, studentId, module) {
+  const { complete } = await visitKeys(env, historyPrefix(studentId, module), async ({ name }) => {
+    if (!hasKVBudget(env, 1)) return false;
+    await env.RESULTS_KV.delete(name);
+    return true;
+  });
+  return complete;
+}
+
+// Validates an entry sent by a trainer; returns the stored form or null
+function normalizeHistoryEntry(entry) {
+  if (!entry || typeof entry !== "object" || !isValidDate(entry.date)) return null;
+  if (entry.topic != null && (typeof entry.topic !== "string" || entry.topic.length > 500)) return null;
+  const scores = ["content", "language", "total"].map(field => entry[field] ?? null);
+  if (scores.some(v => v !== null && clampNP(v) !== v)) return null;
+  return {
+    id: newId(),
+    date: new Date(entry.date).toISOString(),
+    topic: (entry.topic || "—").slice(0, MAX_HISTORY_TOPIC),
+    content: scores[0],
+    language: scores[1],
+    total: scores[2]
+  };
+}
+
+// Adds entries (skipping ones already present) and keeps the newest MAX_HISTORY_ENTRIES
+async function mergeHistory(env, session, module, entries) {
+  const history = await listHistory(env, session.student_id, module);
+  const stored = new Set(history.map(h => h.key));
+  const all = new Map(history.map(h => [h.key, h.entry]));
+  for (const entry of entries) {
+    const key = historyEntryKey(session.student_id, module, entry);
+    if (!all.has(key)) all.set(key, entry);
+  }
+  // Keys sort by date, oldest first; only entries that are kept are written
+  const keys = [...all.keys()].sort();
+  const kept = keys.slice(-MAX_HISTORY_ENTRIES);
+  for (const key of keys.slice(0, -MAX_HISTORY_ENTRIES)) {
+    if (stored.has(key)) await env.RESULTS_KV.delete(key);
+  }
+  for (const key of kept) {
+    if (!stored.has(key)) await putHistoryEntry(env, session.student_id, module, all.get(key));
+  }
+  return kept.map(key => all.get(key));
+}
+
+function readHistoryModule(module) {
+  return RESULT_TYPES.includes(module) ? module : null;
+}
+
+async function handleGetHistory(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const module = readHistoryModule((await request.json()).module);
+  if (!module) {
+    return jsonResponse({ error: "Ungültiges Modul." }, 400);
+  }
+  return jsonResponse({ entries: await readHistory(env, session.student_id, module) });
+}
+
+async function handleAddHistory(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const body = await request.json();
+  const module = readHistoryModule(body.module);
+  if (!module) {
+    return jsonResponse({ error: "Ungültiges Modul." }, 400);
+  }
+  const entry = normalizeHistoryEntry(body.entry);
+  if (!entry) {
+    return jsonResponse({ error: "Ungültiger Verlaufseintrag." }, 400);
+  }
+  return jsonResponse({ entries: await mergeHistory(env, session, module, [entry]) });
+}
+
+// Deletes one entry ({ id }) or the whole module history ({ all: true })
+async function handleDeleteHistory(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { module: requested, id, all } = await request.json();
+  const module = readHistoryModule(requested);
+  if (!module) {
+    return jsonResponse({ error: "Ungültiges Modul." }, 400);
+  }
+  if (all === true) {
+    await deleteHistory(env, session.student_id, module);
+    return jsonResponse({ entries: [] });
+  }
+  const history = await listHistory(env, session.student_id, module);
+  const found = history.find(h => h.entry.id === id);
+  if (!found) {
+    return jsonResponse({ error: "Eintrag nicht gefunden." }, 404);
+  }
+  await env.RESULTS_KV.delete(found.key);
+  return jsonResponse({ entries: history.filter(h => h !== found).map(h => h.entry) });
+}
+
+// Merges entries kept in a browser: the old localStorage history and entries
+// that could not be saved while offline. The old history of both trainers was
+// written to one list without a module – those entries are matched to the
+// student's results by topic and time and count as mediation otherwise.
+async function handleImportHistory(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { entries } = await request.json();
+  if (!Array.isArray(entries) || entries.length > MAX_HISTORY_IMPORT) {
+    return jsonResponse({ error: `entries muss eine Liste mit höchstens ${MAX_HISTORY_IMPORT} Einträgen sein.` }, 400);
+  }
+
+  const results = entries.some(e => !readHistoryModule(e?.module))
+    ? (await queryResults(env, { student_id: session.student_id }, MAX_RESULTS_PAGE)).results
+    : [];
+  const byModule = Object.fromEntries(RESULT_TYPES.map(type => [type, []]));
+  let skipped = 0;
+  for (const raw of entries) {
+    const entry = normalizeHistoryEntry(raw);
+    if (!entry) {
+      skipped++;
+      continue;
+    }
+    byModule[readHistoryModule(raw.module) || classifyHistoryEntry(entry, results)].push(entry);
+  }
+
+  for (const [module, list] of Object.entries(byModule)) {
+    if (list.length) await mergeHistory(env, session, module, list);
+  }
+  return jsonResponse({ imported: entries.length - skipped, skipped });
+}
+
+function classifyHistoryEntry(entry, results) {
+  const time = Date.parse(entry.date);
+  const match = results.find(r =>
+    r.topic === entry.topic && Math.abs(Date.parse(r.date) - time) <= HISTORY_MATCH_WINDOW);
+  return match ? match.type : "mediation";
+}
+
+/* ================= PHRASE BANK ================= */
+// Each student keeps one deck of phrases to practise with spaced repetition:
+// corrections from their graded submissions (collected when a result is
+// submitted), useful phrasing picked from model answers (/api/extract-phrases),
+// their own entries and the phrase lists their teacher published for the
+// course. Review state lives with the card, so it is the same on every device.
+//   phrases:<student_id>:<card_id>       one card; its metadata (phraseCardSummary)
+//                                        is enough to dedupe, sync and purge
+//   phrase_list:<course_id>:<id>         a course-wide list from the teacher
+// Cards of a course list carry list_id/item_id; the deck follows the lists
+// whenever it is loaded, keeping the review state of items that stay.
+// One key per card, so reviews and additions from several devices or requests
+// at once cannot overwrite each other.
+const MAX_PHRASES = 1000;
+const PHRASES_PAGE_SIZE = 200; // cards per /api/phrases call – one KV read each
+const MAX_PHRASE_LENGTH = 200;
+const MAX_CUE_LENGTH = 300;
+const MAX_NOTE_LENGTH = 500;
+const MAX_LIST_PHRASES = 200;
+const MAX_CORRECTIONS_PER_GRADING = 10;
+// Annotations worth practising; strategy and missing content are about the task
+const PHRASE_CATEGORIES = ["grammar", "vocabulary", "register", "literal_translation"];
+const PHRASE_SOURCES = ["correction", "model_answer", "course", "own"];
+const REVIEW_GRADES = [0, 1, 2, 3, 4, 5]; // SM-2: below 3 counts as forgotten
+
+function phrasesPrefix(studentId) {
+  return `phrases:${studentId}:`;
+}
+
+function phraseCardKey(studentId, id) {
+  return phrasesPrefix(studentId) + id;
+}
+
+function phraseIdentity(phrase) {
+  return phrase.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function phraseContentHash({ phrase, cue, note }) {
+  return hashString([phrase, cue, note].join("\n")).toString(36);
+}
+
+// The listing metadata of a card
+function phraseCardSummary(card) {
+  return {
+    id: card.id,
+    identity: hashString(phraseIdentity(card.phrase)).toString(36),
+    content: phraseContentHash(card),
+    source: card.source,
+    list_id: card.list_id,
+    item_id: card.item_id,
+    due: card.due,
+    reviewed_at: card.reviewed_at,
+    created_at: card.created_at
+  };
+}
+
+async function putPhraseCard(env, studentId, card) {
+  await env.RESULTS_KV.put(phraseCardKey(studentId, card.id), JSON.stringify(card), {
+    metadata: phraseCardSummary(card)
+  });
+}
+
+// The summaries of all cards of a student
+async function listPhraseCards(env, studentId) {
+  return (await listKeys(env, phrasesPrefix(studentId))).map(k => k.metadata).filter(Boolean);
+}
+
+async function readPhraseCards(env, studentId, summaries) {
+  const cards = await Promise.all(summaries.map(s => getJSON(env, phraseCardKey(studentId, s.id))));
+  return cards.filter(Boolean);
+}
+
+// Returns false when the KV budget ran out first (see withKVBudget)
+async function deletePhraseCards(env, studentId) {
+  const { complete } = await visitKeys(env, phrasesPrefix(studentId), async ({ name }) => {
+    if (!hasKVBudget(env, 1)) return false;
+    await env.RESULTS_KV.delete(name);
+    return true;
+  });
+  return complete;
+}
+
+// A new card, due at once. A course card's id follows from its list item, so
+// two requests syncing the deck at once write the same card.
+function newPhraseCard({ phrase, cue, note, source, category, language, list_id, item_id }) {
+  return {
+    id: list_id && item_id ? list_id + "-" + item_id : newId(),
+    phrase: phrase.trim(),
+    cue: (cue || "").trim(),
+    note: (note || "").trim(),
+    source,
+    category: category || null,
+    language: language || DEFAULT_LANGUAGE,
+    list_id: list_id || null,
+    item_id: item_id || null,
+    ease: 2.5,
+    interval: 0,      // days
+    repetitions: 0,   // successful reviews in a row
+    due: new Date().toISOString(),
+    reviewed_at: null,
+    created_at: new Date().toISOString()
+  };
+}
+
+// Validates a phrase sent by a student or teacher; returns the clean fields or { error }
+function cleanPhrase(item) {
+  const { phrase, cue, note } = item || {};
+  if (typeof phrase !== "string" || !phrase.trim() || phrase.trim().length > MAX_PHRASE_LENGTH) {
+    return { error: `Wendung ist erforderlich (max ${MAX_PHRASE_LENGTH} Zeichen).` };
+  }
+  if (cue != null && (typeof cue !== "string" || cue.length > MAX_CUE_LENGTH)) {
+    return { error: `Bedeutung ist zu lang (max ${MAX_CUE_LENGTH} Zeichen).` };
+  }
+  if (note != null && (typeof note !== "string" || note.length > MAX_NOTE_LENGTH)) {
+    return { error: `Notiz ist zu lang (max ${MAX_NOTE_LENGTH} Zeichen).` };
+  }
+  return { phrase: phrase.trim(), cue: (cue || "").trim(), note: (note || "").trim() };
+}
+
+// Adds cards whose phrase is not in the deck yet; returns how many were added.
+// A full deck takes no more automatic additions.
+async function addPhraseCards(env, studentId, cards) {
+  const deck = await listPhraseCards(env, studentId);
+  const known = new Set(deck.map(c => c.identity));
+  let added = 0;
+  for (const card of cards) {
+    if (deck.length + added >= MAX_PHRASES) break;
+    const { identity } = phraseCardSummary(card);
+    if (known.has(identity)) continue;
+    known.add(identity);
+    await putPhraseCard(env, studentId, card);
+    added++;
+  }
+  return added;
+}
+
+// Corrections of a submitted grading: the correction is what to learn, the
+// student's own wording is the cue
+async function collectCorrections(env, studentId, grading) {
+  const cards = (grading.annotations || [])
+    .filter(a => PHRASE_CATEGORIES.includes(a.category) && a.quote && a.correction
+      && a.correction.length <= MAX_PHRASE_LENGTH && a.quote.length <= MAX_CUE_LENGTH
+      && phraseIdentity(a.correction) !== phraseIdentity(a.quote))
+    .slice(0, MAX_CORRECTIONS_PER_GRADING)
+    .map(a => newPhraseCard({
+      phrase: a.correction,
+      cue: a.quote,
+      note: (a.explanation || "").slice(0, MAX_NOTE_LENGTH),
+      source: "correction",
+      category: a.category,
+      language: grading.target_language
+    }));
+  return cards.length ? addPhraseCards(env, studentId, cards) : 0;
+}
 
-  const userPrompt = `AUFGABENSTELLUNG:\n${task_en}\n\nDEUTSCHER QUELLTEXT:\n${source_text_de}`;
+// SM-2: the interval grows with every successful review (1 day, 6 days, then
+// times the ease factor); a forgotten card starts over. The ease factor moves
+// with how hard the answer was and never drops below 1.3.
+function reviewPhraseCard(card, grade, now = Date.now()) {
+  if (grade < 3) {
+    card.repetitions = 0;
+    card.interval = 1;
+  } else {
+    card.repetitions++;
+    card.interval = card.repetitions === 1 ? 1 : card.repetitions === 2 ? 6 : Math.round(card.interval * card.ease);
+  }
+  card.ease = Math.max(1.3, +(card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)).toFixed(2));
+  card.due = new Date(now + card.interval * 24 * 60 * 60 * 1000).toISOString();
+  card.reviewed_at = new Date(now).toISOString();
+  return card;
+}
 
-  const answer = await callOpenAI(env, [
-    { role: "system", content: systemPrompt },
-    { role: "user", content: userPrompt }
-  ]);
+// Brings the course-list cards of a deck in line with the lists: new items are
+// added, changed ones updated, removed ones dropped. Writes only what changed
+// and returns the summaries of the deck.
+async function syncCoursePhrases(env, session) {
+  const studentId = session.student_id;
+  const deck = await listPhraseCards(env, studentId);
+  const lists = await getPhraseLists(env, session.course_id);
+  const items = new Map();
+  for (const list of lists) {
+    for (const item of list.phrases) items.set(list.id + ":" + item.id, { list, item });
+  }
 
-  return jsonResponse({ model_answer: answer });
+  const kept = [];
+  for (const summary of deck) {
+    if (summary.source !== "course") {
+      kept.push(summary);
+      continue;
+    }
+    const entry = items.get(summary.list_id + ":" + summary.item_id);
+    if (!entry) {
+      await env.RESULTS_KV.delete(phraseCardKey(studentId, summary.id));
+      continue;
+    }
+    items.delete(summary.list_id + ":" + summary.item_id);
+    const { phrase, cue, note } = entry.item;
+    const card = summary.content !== phraseContentHash(entry.item) && await getJSON(env, phraseCardKey(studentId, summary.id));
+    if (card) {
+      Object.assign(card, { phrase, cue, note });
+      await putPhraseCard(env, studentId, card);
+      kept.push(phraseCardSummary(card));
+    } else {
+      kept.push(summary);
+    }
+  }
+  for (const { list, item } of items.values()) {
+    if (kept.length >= MAX_PHRASES) break;
+    const card = newPhraseCard({
+      ...item,
+      source: "course",
+      language: session.language,
+      list_id: list.id,
+      item_id: item.id
+    });
+    await putPhraseCard(env, studentId, card);
+    kept.push(phraseCardSummary(card));
+  }
+  return kept;
 }
 
-/* ================= OPENAI CALL ================= */
-async function callOpenAI(env, messages, maxTokens = 4000) {
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${env.OPENAI_API_KEY}`
-    },
-    body: JSON.stringify({
-      model: "gpt-5.2",
-      messages,
-      temperature: 0.7,
-      max_completion_tokens: maxTokens
-    })
+async function getPhraseLists(env, courseId) {
+  const lists = [];
+  for (const { name } of await listKeys(env, "phrase_list:" + courseId + ":")) {
+    const list = await getJSON(env, name);
+    if (list) lists.push(list);
+  }
+  return lists.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Student: the deck, oldest due first, with the titles of the course lists.
+// PHRASES_PAGE_SIZE cards per call; while `cursor` is not null the page asks
+// again with it. The first call syncs the course lists.
+async function handleGetPhrases(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { cursor } = await request.json();
+  const offset = cursor ?? 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    return jsonResponse({ error: "Ungültiger cursor." }, 400);
+  }
+  const deck = offset
+    ? await listPhraseCards(env, session.student_id)
+    : await syncCoursePhrases(env, session);
+  deck.sort((a, b) => a.due.localeCompare(b.due));
+  const lists = Object.fromEntries((await getPhraseLists(env, session.course_id)).map(l => [l.id, l.title]));
+  const now = new Date().toISOString();
+  const cards = (await readPhraseCards(env, session.student_id, deck.slice(offset, offset + PHRASES_PAGE_SIZE)))
+    .map(card => ({ ...card, list_title: card.list_id ? lists[card.list_id] || null : null }));
+  const next = offset + PHRASES_PAGE_SIZE;
+
+  return jsonResponse({
+    cards,
+    due: deck.filter(c => c.due <= now).length,
+    total: deck.length,
+    cursor: next < deck.length ? next : null
   });
+}
+
+async function handleAddPhrase(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
 
-  const data = await response.json();
-  if (!response.ok) {
-    throw new Error(data?.error?.message || "OpenAI error");
+  const clean = cleanPhrase(await request.json());
+  if (clean.error) {
+    return jsonResponse({ error: clean.error }, 400);
+  }
+  const deck = await listPhraseCards(env, session.student_id);
+  if (deck.length >= MAX_PHRASES) {
+    return jsonResponse({ error: `Es können höchstens ${MAX_PHRASES} Wendungen gespeichert werden.` }, 400);
+  }
+  const card = newPhraseCard({ ...clean, source: "own", language: session.language });
+  if (deck.some(c => c.identity === phraseCardSummary(card).identity)) {
+    return jsonResponse({ error: "Diese Wendung ist schon gespeichert." }, 400);
   }
-  return data.choices[0].message.content;
+  await putPhraseCard(env, session.student_id, card);
+
+  return jsonResponse({ card });
 }
 
-/* ================= DASHBOARD: SUBMIT RESULT ================= */
-async function handleSubmitResult(request, env) {
-  const { student_name, course, type, topic, content, language, total, date } = await request.json();
+// { id, grade }: grade 0–5 as in SM-2 (the page offers 1, 3, 4 and 5)
+async function handleReviewPhrase(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { id, grade } = await request.json();
+  if (!REVIEW_GRADES.includes(grade)) {
+    return jsonResponse({ error: "grade muss eine ganze Zahl von 0 bis 5 sein." }, 400);
+  }
+  const card = typeof id === "string" ? await getJSON(env, phraseCardKey(session.student_id, id)) : null;
+  if (!card) {
+    return jsonResponse({ error: "Wendung nicht gefunden." }, 404);
+  }
+  reviewPhraseCard(card, grade);
+  await putPhraseCard(env, session.student_id, card);
+
+  return jsonResponse({ card });
+}
+
+// Cards from a course list stay as long as the list has them
+async function handleDeletePhrase(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
 
-  if (!student_name || typeof student_name !== "string" || student_name.length > 200) {
-    return jsonResponse({ error: "student_name ist erforderlich (max 200 Zeichen)." }, 400);
+  const { id } = await request.json();
+  const card = typeof id === "string" ? await getJSON(env, phraseCardKey(session.student_id, id)) : null;
+  if (!card) {
+    return jsonResponse({ error: "Wendung nicht gefunden." }, 404);
   }
-  if (total == null || typeof total !== "number" || total < 0 || total > 15) {
-    return jsonResponse({ error: "total muss eine Zahl zwischen 0 und 15 sein." }, 400);
+  if (card.source === "course") {
+    return jsonResponse({ error: "Wendungen aus einer Kursliste kann nur die Lehrkraft entfernen." }, 400);
+  }
+  await env.RESULTS_KV.delete(phraseCardKey(session.student_id, id));
+
+  return jsonResponse({ success: true });
+}
+
+// Picks reusable phrasing from the last model answer the student got for a
+// task (see "MODEL ANSWER") and adds it to the deck
+async function handleExtractPhrases(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const body = await request.json();
+  const { source_text_de, task } = body;
+  if (typeof source_text_de !== "string" || typeof task !== "string") {
+    return jsonResponse({ error: "source_text_de und task sind erforderlich." }, 400);
   }
-  if (course && (typeof course !== "string" || course.length > 50)) {
-    return jsonResponse({ error: "Ungültiger Kurs." }, 400);
+  const language = requestLanguage(body, session);
+  if (!language) {
+    return jsonResponse({ error: LANGUAGE_ERROR }, 400);
   }
-  if (topic && (typeof topic !== "string" || topic.length > 500)) {
-    return jsonResponse({ error: "topic ist zu lang." }, 400);
+  const answer = (await getModelAnswers(env, session, source_text_de, task)).pop();
+  if (!answer) {
+    return jsonResponse({ error: "Zu dieser Aufgabe gibt es noch keine Musterlösung." }, 404);
   }
+  const quotaError = await chargeQuota(env, session, "/api/extract-phrases");
+  if (quotaError) return quotaError;
+  // Without the explanation that follows the "---"
+  const text = answer.split(/\n-{3,}\n/)[0].trim();
+  const { label } = TARGET_LANGUAGES[language];
 
-  // Get existing results
-  let results = [];
-  try {
-    const raw = await env.RESULTS_KV.get("all_results");
-    if (raw) results = JSON.parse(raw);
-  } catch {}
-
-  // Add new result
-  results.push({
-    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
-    student_name,
-    course: course || "",
-    type: type || "mediation",
-    topic: topic || "—",
-    content: content ?? null,
-    language: language ?? null,
-    total,
-    date: date || new Date().toISOString()
+  const systemPrompt = `Du bist ein erfahrener ${label}lehrer an einem bayerischen Gymnasium.
+Wähle aus der Musterlösung 5 bis 10 Wendungen aus, die Schüler in eigenen Mediationen und Texten wiederverwenden können.
+
+WICHTIGE REGELN:
+- Geeignet sind Konnektoren, Einleitungs- und Schlussformeln, Wendungen zum Wiedergeben von Aussagen, zum Vergleichen und zum Bewerten sowie register-typische Formulierungen.
+- Keine Eigennamen, keine themenspezifischen Einzelwörter, keine ganzen Sätze.
+- Jede Wendung wird WÖRTLICH aus der Musterlösung übernommen (2 bis 10 Wörter).
+- "meaning" ist die deutsche Bedeutung, "note" sagt in einem kurzen deutschen Satz, wofür man die Wendung verwendet.
+
+Antworte NUR mit reinem JSON in folgendem Format:
+{
+  "phrases": [
+    { "phrase": "…", "meaning": "…", "note": "…" }
+  ]
+}`;
+
+  const parsed = await completeJSON(env, {
+    session,
+    schema: "phrases",
+    context: { text },
+    kind: "phrases",
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: `Musterlösung:\n${text}` }
+    ]
   });
+  const cards = parsed.phrases
+    .filter(p => p.phrase.length <= MAX_PHRASE_LENGTH)
+    .map(p => newPhraseCard({
+      phrase: p.phrase,
+      cue: p.meaning.slice(0, MAX_CUE_LENGTH),
+      note: (p.note || "").slice(0, MAX_NOTE_LENGTH),
+      source: "model_answer",
+      language
+    }));
+  const added = await addPhraseCards(env, session.student_id, cards);
+
+  return jsonResponse({ added, phrases: cards.map(({ phrase, cue, note }) => ({ phrase, cue, note })) });
+}
+
+// Teacher: the course lists, of one course or of all
+async function handleGetPhraseLists(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { course_id } = await request.json();
+  if (course_id != null) {
+    if (typeof course_id !== "string") {
+      return jsonResponse({ error: "Kurs nicht gefunden." }, 404);
+    }
+    return jsonResponse({ lists: await getPhraseLists(env, course_id) });
+  }
+  const lists = [];
+  for (const { name } of await listKeys(env, "phrase_list:")) {
+    const list = await getJSON(env, name);
+    if (list) lists.push(list);
+  }
+  return jsonResponse({ lists: lists.sort((a, b) => a.title.localeCompare(b.title)) });
+}
+
+// Without list_id a new list is created. Items keep their id as long as the
+// phrase stays, so the students' review state survives edits of the list.
+async function handleSavePhraseList(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { list_id, course_id, title, phrases } = await request.json();
+  const course = typeof course_id === "string" ? await getJSON(env, "course:" + course_id) : null;
+  if (!course) {
+    return jsonResponse({ error: "Kurs nicht gefunden." }, 404);
+  }
+  if (!title || typeof title !== "string" || title.trim().length > 100) {
+    return jsonResponse({ error: "Titel ist erforderlich (max 100 Zeichen)." }, 400);
+  }
+  if (!Array.isArray(phrases) || !phrases.length || phrases.length > MAX_LIST_PHRASES) {
+    return jsonResponse({ error: `Eine Liste braucht 1 bis ${MAX_LIST_PHRASES} Wendungen.` }, 400);
+  }
+  const items = [];
+  for (const [i, item] of phrases.entries()) {
+    const clean = cleanPhrase(item);
+    if (clean.error) {
+      return jsonResponse({ error: `Zeile ${i + 1}: ${clean.error}` }, 400);
+    }
+    items.push(clean);
+  }
+
+  let list = null;
+  if (list_id != null) {
+    list = typeof list_id === "string" ? await getJSON(env, `phrase_list:${course.id}:${list_id}`) : null;
+    if (!list) {
+      return jsonResponse({ error: "Liste nicht gefunden." }, 404);
+    }
+  }
+  const previous = new Map((list?.phrases || []).map(p => [phraseIdentity(p.phrase), p.id]));
+  const cleanItems = [];
+  for (const item of items) {
+    const identity = phraseIdentity(item.phrase);
+    if (cleanItems.some(i => phraseIdentity(i.phrase) === identity)) continue;
+    cleanItems.push({ id: previous.get(identity) || newId(), ...item });
+  }
 
-  // Save back
-  await env.RESULTS_KV.put("all_results", JSON.stringify(results));
+  const now = new Date().toISOString();
+  list = {
+    id: list?.id || newId(),
+    course_id: course.id,
+    title: title.trim(),
+    phrases: cleanItems,
+    created_at: list?.created_at || now,
+    updated_at: now
+  };
+  await putJSON(env, `phrase_list:${course.id}:${list.id}`, list);
+
+  return jsonResponse({ list });
+}
+
+// The cards of the list leave the students' decks the next time they load them
+async function handleDeletePhraseList(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  return jsonResponse({ success: true, count: results.length });
+  const { course_id, list_id } = await request.json();
+  const key = `phrase_list:${course_id}:${list_id}`;
+  if (typeof course_id !== "string" || typeof list_id !== "string" || !(await getJSON(env, key))) {
+    return jsonResponse({ error: "Liste nicht gefunden." }, 404);
+  }
+  await env.RESULTS_KV.delete(key);
+  return jsonResponse({ success: true });
 }
 
 /* ================= DASHBOARD: GET RESULTS ================= */
-async function handleGetResults(request, env) {
-  const { teacher_password } = await request.json();
+// Filters: course_id, student_id, type, assignment_id, from/to (ISO dates, inclusive).
+// Paginated newest first via limit + the opaque next_cursor of the previous page.
+async function handleGetResults(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
 
-  // Separate teacher password check
-  if (!env.TEACHER_PASSWORD) {
-    return jsonResponse({ error: "Server-Konfigurationsfehler." }, 500);
+  const {
+    course_id, student_id, type, assignment_id, target_language, from, to, limit, cursor, include_submissions
+  } = await request.json();
+
+  for (const [name, value] of Object.entries({ course_id, student_id, type, assignment_id, cursor })) {
+    if (value != null && (typeof value !== "string" || value.length > 500)) {
+      return jsonResponse({ error: `Ungültiger Filter: ${name}.` }, 400);
+    }
   }
-  if (teacher_password !== env.TEACHER_PASSWORD) {
-    return jsonResponse({ error: "Falsches Lehrer-Passwort." }, 401);
+  if (target_language != null && !isTargetLanguage(target_language)) {
+    return jsonResponse({ error: "Ungültiger Filter: target_language." }, 400);
+  }
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return jsonResponse({ error: "from/to müssen gültige Datumsangaben sein." }, 400);
   }
+  const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_RESULTS_PAGE);
 
-  let results = [];
-  try {
-    const raw = await env.RESULTS_KV.get("all_results");
-    if (raw) results = JSON.parse(raw);
-  } catch {}
+  const page = await queryResults(env, {
+    course_id, student_id, type, assignment_id, target_language,
+    from: from ? new Date(from).toISOString() : null,
+    // A bare date as upper bound means "until the end of that day"
+    to: to ? (to.length === 10 ? to + "T23:59:59.999Z" : new Date(to).toISOString()) : null
+  }, pageSize, cursor);
+
+  // Full backup: every result with its archived submission
+  if (include_submissions) {
+    await Promise.all(page.results.map(async r => {
+      r.submission = await getJSON(env, "submission:" + r.id);
+    }));
+  }
 
-  return jsonResponse({ results });
+  return jsonResponse(page);
 }
 
 /* ================= DASHBOARD: DELETE RESULT ================= */
-async function handleDeleteResult(request, env) {
-  const { teacher_password, result_id } = await request.json();
+async function handleDeleteResult(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { result_id } = await request.json();
 
   if (!result_id || typeof result_id !== "string" || result_id.length > 100) {
     return jsonResponse({ error: "Ungültige result_id." }, 400);
   }
-  if (!env.TEACHER_PASSWORD) {
-    return jsonResponse({ error: "Server-Konfigurationsfehler." }, 500);
-  }
-  const teacherPw = env.TEACHER_PASSWORD;
-  if (teacher_password !== teacherPw) {
-    return jsonResponse({ error: "Falsches Lehrer-Passwort." }, 401);
+
+  const result = await getJSON(env, "result:" + result_id);
+  if (!result) {
+    return jsonResponse({ error: "Ergebnis nicht gefunden." }, 404);
   }
+  await deleteResult(env, result);
+
+  return jsonResponse({ success: true });
+}
 
-  let results = [];
+/* ================= DASHBOARD: MIGRATE LEGACY RESULTS ================= */
+// One-time move of the old "all_results" array into per-result records.
+// Safe to run again: ids that already exist are skipped, and the old blob is
+// kept as "all_results_migrated" until a teacher deletes it by hand.
+async function handleMigrateResults(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  let legacy = [];
   try {
     const raw = await env.RESULTS_KV.get("all_results");
-    if (raw) results = JSON.parse(raw);
-  } catch {}
+    if (raw) legacy = JSON.parse(raw);
+  } catch {
+    return jsonResponse({ error: "all_results konnte nicht gelesen werden." }, 500);
+  }
+
+  // Old results only carry the course name; map it to a course account if one exists
+  const coursesByName = {};
+  for (const key of await listKeys(env, "course:")) {
+    const course = await getJSON(env, key.name);
+    if (course) coursesByName[course.name] = course.id;
+  }
+
+  let migrated = 0, skipped = 0;
+  for (const old of legacy) {
+    if (!old || !old.id || await env.RESULTS_KV.get("result:" + old.id)) {
+      skipped++;
+      continue;
+    }
+    await saveResult(env, {
+      id: old.id,
+      student_id: old.student_id || null,
+      student_name: old.student_name || "Unbekannt",
+      course_id: old.course_id || coursesByName[old.course] || null,
+      course: old.course || "",
+      type: RESULT_TYPES.includes(old.type) ? old.type : "mediation",
+      topic: old.topic || "—",
+      content: old.content ?? null,
+      language: old.language ?? null,
+      total: old.total ?? null,
+      date: isValidDate(old.date) ? new Date(old.date).toISOString() : new Date(0).toISOString(),
+      migrated: true
+    });
+    migrated++;
+  }
 
-  results = results.filter(r => r.id !== result_id);
-  await env.RESULTS_KV.put("all_results", JSON.stringify(results));
+  if (legacy.length) {
+    await env.RESULTS_KV.put("all_results_migrated", JSON.stringify(legacy));
+    await env.RESULTS_KV.delete("all_results");
+  }
 
-  return jsonResponse({ success: true, count: results.length });
+  return jsonResponse({ success: true, migrated, skipped });
 }
 
-/* ================= HELPERS ================= */
-function extractJSON(text) {
-  // Step 1: Clean markdown fences
-  let clean = text.replace(/```json\s*/g, "").replace(/```\s*/g, "").trim();
-
-  // Step 2: Try direct parse
-  try { return JSON.parse(clean); } catch {}
-
-  // Step 3: Extract JSON object from surrounding text
-  const match = clean.match(/\{[\s\S]*\}/);
-  if (match) {
-    try { return JSON.parse(match[0]); } catch {}
-
-    // Step 4: Try to repair common issues
-    let repaired = match[0];
-
-    // Fix unescaped newlines inside strings
-    repaired = repaired.replace(/:\s*"([\s\S]*?)"\s*([,\}])/g, (m, val, end) => {
-      const fixed = val
-        .replace(/\n/g, "\\n")
-        .replace(/\r/g, "\\r")
-        .replace(/\t/g, "\\t");
-      return ': "' + fixed + '"' + end;
-    });
-    try { return JSON.parse(repaired); } catch {}
-
-    // Step 5: More aggressive repair – fix unescaped quotes in values
-    // Replace the content between key-value pairs
-    repaired = match[0];
-    repaired = repaired.replace(/([{,]\s*"[^"]+"\s*:\s*")([^]*?)("\s*[,\}])/g, (m, pre, val, post) => {
-      // Escape any unescaped quotes inside the value
-      const fixed = val
-        .replace(/\\/g, "\\\\")
-        .replace(/"/g, '\\"')
-        .replace(/\n/g, "\\n")
-        .replace(/\r/g, "")
-        .replace(/\t/g, "\\t");
-      return pre + fixed + post;
-    });
-    try { return JSON.parse(repaired); } catch {}
+/* ================= DASHBOARD: IMPORT RESULTS (backup) ================= */
+// Restores results from the dashboard's JSON export (/api/results with
+// include_submissions). Results that still exist are left untouched, so a
+// backup can be imported repeatedly; the client sends it in chunks.
+const MAX_IMPORT_RECORD = 200 * 1024; // characters per result or submission
 
-    // Step 6: Last resort – try to build object from key extraction
-    try {
-      const keys = ["headline", "source_info", "article_text", "task_instruction",
-                     "task_1", "task_2", "task_3_1_quote", "task_3_1",
-                     "task_3_2_situation", "task_3_2",
-                     "inhalt_np", "sprache_np", "gesamt_np", "feedback", "corrections"];
-      const obj = {};
-      for (const key of keys) {
-        const re = new RegExp('"' + key + '"\\s*:\\s*"([\\s\\S]*?)"\\s*[,\\}]');
-        const km = clean.match(re);
-        if (km) obj[key] = km[1].replace(/\\n/g, "\n").replace(/\\"/g, '"');
-      }
-      // Also try numeric values
-      for (const key of ["inhalt_np", "sprache_np", "gesamt_np", "content_textstructure", "language", "total"]) {
-        const re = new RegExp('"' + key + '"\\s*:\\s*(\\d+)');
-        const km = clean.match(re);
-        if (km) obj[key] = parseInt(km[1]);
+async function handleImportResults(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { results } = await request.json();
+  if (!Array.isArray(results) || !results.length || results.length > MAX_RESULTS_PAGE) {
+    return jsonResponse({ error: `results muss 1–${MAX_RESULTS_PAGE} Ergebnisse enthalten.` }, 400);
+  }
+
+  let imported = 0, skipped = 0;
+  const invalid = [];
+  for (const entry of results) {
+    const { submission, ...result } = entry || {};
+    const error = validateImportedResult(result, submission);
+    if (error) {
+      invalid.push({ id: typeof result.id === "string" ? result.id.slice(0, 40) : null, error });
+      continue;
+    }
+    if (await env.RESULTS_KV.get("result:" + result.id)) {
+      skipped++;
+      continue;
+    }
+    result.date = new Date(result.date).toISOString();
+    await saveResult(env, result);
+    if (submission) await putJSON(env, "submission:" + result.id, submission);
+    imported++;
+  }
+
+  return jsonResponse({ success: true, imported, skipped, invalid });
+}
+
+function validateImportedResult(result, submission) {
+  if (typeof result.id !== "string" || !/^[a-z0-9]{1,40}$/i.test(result.id)) return "Ungültige id.";
+  if (!isValidDate(result.date)) return "Ungültiges Datum.";
+  if (!ALL_RESULT_TYPES.includes(result.type)) return "Ungültiger Typ.";
+  if (typeof result.student_name !== "string" || !result.student_name || result.student_name.length > 200) return "Ungültiger Name.";
+  for (const field of ["student_id", "course_id", "assignment_id"]) {
+    if (result[field] != null && (typeof result[field] !== "string" || result[field].length > 100)) return `Ungültige ${field}.`;
+  }
+  for (const field of ["content", "language", "total"]) {
+    if (result[field] != null && clampNP(result[field]) !== result[field]) return `Ungültige Punktzahl: ${field}.`;
+  }
+  if (result.target_language != null && !isTargetLanguage(result.target_language)) return "Ungültige target_language.";
+  if (JSON.stringify(result).length > MAX_IMPORT_RECORD) return "Ergebnis ist zu groß.";
+  if (submission != null && (typeof submission !== "object" || JSON.stringify(submission).length > MAX_IMPORT_RECORD)) {
+    return "Ungültige Abgabe.";
+  }
+  return null;
+}
+
+/* ================= DATA PROTECTION ================= */
+// Retention, bulk deletion, student data export and deletion requests.
+// Worker vars (see wrangler.toml):
+//   RETENTION_DAYS  results, archived submissions, practice history, phrase cards
+//                   and usage records older than this are purged by the daily
+//                   cron (0 = keep)
+//   RETENTION_MODE  "delete" (default) or "pseudonymize": expired results keep
+//                   scores, course, type and date for the statistics, but lose
+//                   the student id, texts and teacher comment; the name becomes a
+//                   stable pseudonym ("Anonym 3F9A1C")
+// A Worker invocation may only make about 1000 KV calls. Purges and deletions
+// therefore count their calls, listings included, against one budget of
+// MAX_KV_OPS_PER_RUN (see withKVBudget) and stop between two steps when it is
+// used up; the next cron run, or the repeated request (repeatUntilComplete in
+// the dashboard), carries on. A step – one result, assignment or phase of an
+// account – takes at most MAX_KV_OPS_PER_STEP calls.
+const MAX_KV_OPS_PER_RUN = 900;
+const MAX_KV_OPS_PER_STEP = 50;
+const PURGE_MODES = ["delete", "pseudonymize"];
+
+// The env with a KV binding that counts its calls in env.kvBudget
+function withKVBudget(env) {
+  const kv = env.RESULTS_KV;
+  const budget = { used: 0 };
+  const counted = method => (...args) => {
+    budget.used++;
+    return kv[method](...args);
+  };
+  return {
+    ...env,
+    kvBudget: budget,
+    RESULTS_KV: { get: counted("get"), put: counted("put"), delete: counted("delete"), list: counted("list") }
+  };
+}
+
+// Whether `cost` more KV calls fit into the budget (always true without one)
+function hasKVBudget(env, cost = MAX_KV_OPS_PER_STEP) {
+  return !env.kvBudget || env.kvBudget.used + cost <= MAX_KV_OPS_PER_RUN;
+}
+
+// Calls `visit` for each key under `prefix`, one list page at a time, while the
+// budget lasts; `visit` returns false to stop. Returns { complete, cursor }, the
+// cursor of the page it stopped in, to carry on from there.
+async function visitKeys(env, prefix, visit, cursor) {
+  do {
+    if (!hasKVBudget(env, 1)) return { complete: false, cursor: cursor || null };
+    const page = await env.RESULTS_KV.list({ prefix, cursor });
+    for (const key of page.keys) {
+      if (await visit(key) === false) return { complete: false, cursor: cursor || null };
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return { complete: true, cursor: null };
+}
+
+function retentionConfig(env) {
+  const days = parseInt(env.RETENTION_DAYS);
+  return {
+    days: Number.isFinite(days) && days > 0 ? days : 0,
+    mode: PURGE_MODES.includes(env.RETENTION_MODE) ? env.RETENTION_MODE : "delete"
+  };
+}
+
+// Same student, same pseudonym – derived from a random salt kept in KV, so it
+// cannot be traced back without access to the store. Results without a student
+// id (migrated or imported ones) are keyed on the name instead.
+async function pseudonymFor(env, studentId) {
+  let salt = await env.RESULTS_KV.get("config:pseudonym_salt");
+  if (!salt) {
+    salt = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, "0")).join("");
+    await env.RESULTS_KV.put("config:pseudonym_salt", salt);
+  }
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(salt + ":" + studentId));
+  const hex = [...new Uint8Array(digest)].slice(0, 3).map(b => b.toString(16).padStart(2, "0")).join("");
+  return "Anonym " + hex.toUpperCase();
+}
+
+async function pseudonymizeResult(env, result) {
+  await Promise.all(resultIndexKeys(result).map(key => env.RESULTS_KV.delete(key)));
+  await env.RESULTS_KV.delete("submission:" + result.id);
+  await saveResult(env, {
+    ...result,
+    student_id: null,
+    student_name: await pseudonymFor(env, result.student_id || "name:" + result.student_name),
+    teacher_grade: result.teacher_grade ? { ...result.teacher_grade, comment: "" } : null,
+    has_submission: false,
+    pseudonymized: true
+  });
+}
+
+// Deletes or pseudonymizes the results whose index metadata matches `filter`,
+// walking the index under `prefix` (see "RESULT STORAGE"). Returns { processed, complete }.
+async function purgeResults(env, filter, mode, prefix = "idx:all:") {
+  let processed = 0;
+  const { complete } = await visitKeys(env, prefix, async ({ metadata: meta }) => {
+    if (!meta || !filter(meta)) return true;
+    if (mode === "pseudonymize" && meta.pseudonymized) return true; // already done
+    if (!hasKVBudget(env)) return false;
+    const result = await getJSON(env, "result:" + meta.id);
+    if (result) {
+      if (mode === "pseudonymize") await pseudonymizeResult(env, result);
+      else await deleteResult(env, result);
+    }
+    processed++;
+    return true;
+  });
+  return { processed, complete };
+}
+
+// Daily cron (see [triggers] in wrangler.toml)
+async function purgeExpiredData(env) {
+  const { days, mode } = retentionConfig(env);
+  if (!days) return;
+  env = withKVBudget(env);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  await purgeResults(env, meta => meta.date < cutoff, mode);
+
+  // Practice history has no statistical value of its own – old entries go
+  await visitKeys(env, "history:", async ({ name, metadata }) => {
+    if (metadata.date >= cutoff) return true;
+    if (!hasKVBudget(env, 1)) return false;
+    await env.RESULTS_KV.delete(name);
+    return true;
+  });
+
+  // Phrase cards not created or reviewed since the cutoff
+  await visitKeys(env, "phrases:", async ({ name, metadata }) => {
+    if ((metadata.reviewed_at || metadata.created_at) >= cutoff) return true;
+    if (!hasKVBudget(env, 1)) return false;
+    await env.RESULTS_KV.delete(name);
+    return true;
+  });
+
+  // Usage records: the day is part of the key, so they are listed oldest first
+  const cutoffDay = cutoff.slice(0, 10);
+  await visitKeys(env, "usage:", async ({ name, metadata }) => {
+    if (name.slice(6, 16) >= cutoffDay) return false;
+    if (!hasKVBudget(env, 3)) return false;
+    if (mode === "delete") {
+      await env.RESULTS_KV.delete(name);
+    } else if (metadata?.student_id) {
+      await env.RESULTS_KV.put(name, "", {
+        metadata: { ...metadata, student_id: null, student_name: await pseudonymFor(env, metadata.student_id) },
+        expirationTtl: USAGE_TTL
+      });
+    }
+    return true;
+  });
+
+  // Results from before the per-record storage
+  if (!hasKVBudget(env, 2)) return;
+  const legacy = await getJSON(env, "all_results");
+  if (Array.isArray(legacy)) {
+    const kept = legacy.filter(r => !r?.date || r.date >= cutoff);
+    if (kept.length !== legacy.length) await putJSON(env, "all_results", kept);
+  }
+}
+
+// School year "2025/26" runs from 1 August 2025 to 31 July 2026
+function schoolYearRange(value) {
+  const match = typeof value === "string" && value.match(/^(\d{4})\/(\d{2})$/);
+  if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) return null;
+  const year = Number(match[1]);
+  return { from: `${year}-08-01T00:00:00.000Z`, to: `${year + 1}-08-01T00:00:00.000Z` };
+}
+
+// Teacher: delete (or pseudonymize) results of a course and/or a school year.
+// With delete_course the course itself goes as well: accounts, practice history,
+// phrase decks and lists, and assignments. Large purges return complete: false
+// and are simply repeated.
+async function handlePurgeResults(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { course_id, school_year, mode = "delete", delete_course } = await request.json();
+  if (course_id == null && school_year == null) {
+    return jsonResponse({ error: "Bitte einen Kurs oder ein Schuljahr angeben." }, 400);
+  }
+  const course = course_id != null && typeof course_id === "string" ? await getJSON(env, "course:" + course_id) : null;
+  if (course_id != null && !course) {
+    return jsonResponse({ error: "Kurs nicht gefunden." }, 404);
+  }
+  const range = school_year != null ? schoolYearRange(school_year) : null;
+  if (school_year != null && !range) {
+    return jsonResponse({ error: "school_year muss die Form 2025/26 haben." }, 400);
+  }
+  if (!PURGE_MODES.includes(mode)) {
+    return jsonResponse({ error: "mode muss delete oder pseudonymize sein." }, 400);
+  }
+  if (delete_course && (!course || range)) {
+    return jsonResponse({ error: "Einen Kurs löschen geht nur ohne Schuljahr." }, 400);
+  }
+
+  env = withKVBudget(env);
+  const results = await purgeResults(env, meta =>
+    (!course || meta.course_id === course.id) &&
+    (!range || (meta.date >= range.from && meta.date < range.to)), mode,
+    course ? "idx:course:" + course.id + ":" : "idx:all:");
+  if (!results.complete || !delete_course) {
+    return jsonResponse({ deleted: results.processed, complete: results.complete });
+  }
+  const incomplete = jsonResponse({ deleted: results.processed, complete: false });
+
+  const students = await visitKeys(env, "course_student:" + course.id + ":", async ({ metadata }) => {
+    if (!hasKVBudget(env)) return false;
+    const student = metadata && await getJSON(env, "student:" + metadata.id);
+    return student ? removeStudentAccount(env, student) : true;
+  });
+  if (!students.complete) return incomplete;
+  const assignments = await visitKeys(env, "course_assignment:" + course.id + ":", async ({ name }) => {
+    if (!hasKVBudget(env)) return false;
+    const assignment = await getJSON(env, "assignment:" + name.split(":").pop());
+    if (assignment) await deleteAssignment(env, assignment);
+    return true;
+  });
+  if (!assignments.complete) return incomplete;
+  const lists = await visitKeys(env, "phrase_list:" + course.id + ":", async ({ name }) => {
+    if (!hasKVBudget(env, 1)) return false;
+    await env.RESULTS_KV.delete(name);
+    return true;
+  });
+  if (!lists.complete || !hasKVBudget(env, 2)) return incomplete;
+  await env.RESULTS_KV.delete("course_code:" + course.join_code);
+  await env.RESULTS_KV.delete("course:" + course.id);
+
+  return jsonResponse({ deleted: results.processed, complete: true, course_deleted: true });
+}
+
+// Student: everything stored about them, as one JSON document
+async function handleMyData(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const student = await getJSON(env, "student:" + session.student_id);
+  if (!student) {
+    return jsonResponse({ error: "Schülerkonto nicht gefunden." }, 401);
+  }
+  const course = await getJSON(env, "course:" + student.course_id);
+
+  const results = [];
+  for (const { metadata: meta } of await listKeys(env, "idx:student:" + student.id + ":")) {
+    const result = meta && await getJSON(env, "result:" + meta.id);
+    if (!result) continue;
+    results.push({ ...result, submission: await getJSON(env, "submission:" + result.id) });
+  }
+  const history = {};
+  for (const module of RESULT_TYPES) {
+    history[module] = await readHistory(env, student.id, module);
+  }
+
+  return jsonResponse({
+    exported_at: new Date().toISOString(),
+    student: { id: student.id, name: student.name, created_at: student.created_at || null },
+    course: course ? { id: course.id, name: course.name, level: course.level } : null,
+    results,
+    history,
+    phrases: await readPhraseCards(env, student.id, await listPhraseCards(env, student.id)),
+    abitur: await getJSON(env, "abitur:" + student.id),
+    deletion_request: await getJSON(env, "deletion_request:" + student.id),
+    retention: retentionConfig(env)
+  });
+}
+
+// Student: ask the teacher to delete all their data. The teacher decides,
+// because grades may be subject to the school's own retention duties.
+async function handleRequestDeletion(request, env, session) {
+  const denied = requireStudent(session);
+  if (denied) return denied;
+
+  const { note } = await request.json();
+  if (note != null && (typeof note !== "string" || note.length > 1000)) {
+    return jsonResponse({ error: "Nachricht ist zu lang (max 1000 Zeichen)." }, 400);
+  }
+  const existing = await getJSON(env, "deletion_request:" + session.student_id);
+  if (existing) {
+    return jsonResponse({ success: true, requested_at: existing.date });
+  }
+  const deletionRequest = {
+    student_id: session.student_id,
+    student_name: session.student_name,
+    course_id: session.course_id,
+    course_name: session.course_name,
+    note: (note || "").trim(),
+    date: new Date().toISOString()
+  };
+  await putJSON(env, "deletion_request:" + session.student_id, deletionRequest);
+
+  return jsonResponse({ success: true, requested_at: deletionRequest.date });
+}
+
+async function handleGetDeletionRequests(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const requests = [];
+  for (const { name } of await listKeys(env, "deletion_request:")) {
+    const deletionRequest = await getJSON(env, name);
+    if (deletionRequest) requests.push(deletionRequest);
+  }
+  requests.sort((a, b) => a.date.localeCompare(b.date));
+
+  return jsonResponse({ requests, retention: retentionConfig(env) });
+}
+
+// action "delete": all results, submissions, history and the account go;
+// action "reject": the request is dropped and everything stays.
+// Assignment starts and usage records can only be found by listing all of
+// them; how far that got is kept with the request, so a repeated call carries
+// on from there instead of listing everything again.
+async function handleResolveDeletion(request, env, session) {
+  const denied = requireTeacher(session);
+  if (denied) return denied;
+
+  const { student_id, action } = await request.json();
+  const deletionRequest = typeof student_id === "string" ? await getJSON(env, "deletion_request:" + student_id) : null;
+  if (!deletionRequest) {
+    return jsonResponse({ error: "Löschantrag nicht gefunden." }, 404);
+  }
+  if (action === "reject") {
+    await env.RESULTS_KV.delete("deletion_request:" + student_id);
+    return jsonResponse({ success: true });
+  }
+  if (action !== "delete") {
+    return jsonResponse({ error: "action muss delete oder reject sein." }, 400);
+  }
+
+  env = withKVBudget(env);
+  const results = await purgeResults(env, meta => meta.student_id === student_id, "delete", "idx:student:" + student_id + ":");
+  const incomplete = async progress => {
+    if (progress) await putJSON(env, "deletion_request:" + student_id, { ...deletionRequest, progress });
+    return jsonResponse({ deleted: results.processed, complete: false });
+  };
+  if (!results.complete) return incomplete(null);
+
+  let progress = deletionRequest.progress || { stage: "starts", cursor: null };
+  if (progress.stage === "starts") {
+    const starts = await visitKeys(env, "assignment_start:", async ({ name }) => {
+      if (!name.endsWith(":" + student_id)) return true;
+      if (!hasKVBudget(env, 1)) return false;
+      await env.RESULTS_KV.delete(name);
+      return true;
+    }, progress.cursor);
+    if (!starts.complete) return incomplete({ stage: "starts", cursor: starts.cursor });
+    progress = { stage: "usage", cursor: null };
+  }
+  if (progress.stage === "usage") {
+    // Usage records keep their costs, but no longer point to the student
+    const usage = await visitKeys(env, "usage:", async ({ name, metadata }) => {
+      if (metadata?.student_id !== student_id) return true;
+      if (!hasKVBudget(env, 1)) return false;
+      await env.RESULTS_KV.put(name, "", {
+        metadata: { ...metadata, student_id: null, student_name: null },
+        expirationTtl: USAGE_TTL
+      });
+      return true;
+    }, progress.cursor);
+    if (!usage.complete) return incomplete({ stage: "usage", cursor: usage.cursor });
+    progress = { stage: "account", cursor: null };
+  }
+  const student = await getJSON(env, "student:" + student_id);
+  if (student && !(await removeStudentAccount(env, student))) return incomplete(progress);
+  await env.RESULTS_KV.delete("deletion_request:" + student_id);
+
+  return jsonResponse({ deleted: results.processed, complete: true });
+}
+
+/* ================= RESULT STORAGE ================= */
+// Each result is its own KV record ("result:<id>"), so concurrent submissions
+// never overwrite each other. Index keys sort newest first and carry the
+// filterable fields as metadata, so queries can filter without reading records:
+//   idx:all:<rev>:<id>  idx:course:<course_id>:<rev>:<id>
+//   idx:student:<student_id>:<rev>:<id>  idx:type:<type>:<rev>:<id>
+//   idx:assignment:<assignment_id>:<rev>:<id>
+// RESULT_TYPES are the practice modules (trainers, history, assignments);
+// "abitur" results only come from the mock Abitur (see "MOCK ABITUR").
+const RESULT_TYPES = ["mediation", "writing"];
+const ALL_RESULT_TYPES = [...RESULT_TYPES, "abitur"];
+const MAX_RESULTS_PAGE = 200;
+
+function resultIndexKeys(result) {
+  // Inverted timestamp so that KV's lexicographic listing returns newest first
+  const rev = String(8640000000000000 - Date.parse(result.date)).padStart(16, "0");
+  const suffix = rev + ":" + result.id;
+  const keys = ["idx:all:" + suffix, "idx:type:" + result.type + ":" + suffix];
+  if (result.course_id) keys.push("idx:course:" + result.course_id + ":" + suffix);
+  if (result.student_id) keys.push("idx:student:" + result.student_id + ":" + suffix);
+  if (result.assignment_id) keys.push("idx:assignment:" + result.assignment_id + ":" + suffix);
+  return keys;
+}
+
+async function saveResult(env, result) {
+  await putJSON(env, "result:" + result.id, result);
+  const metadata = {
+    id: result.id,
+    date: result.date,
+    course_id: result.course_id,
+    student_id: result.student_id,
+    type: result.type,
+    assignment_id: result.assignment_id || null,
+    target_language: result.target_language || DEFAULT_LANGUAGE,
+    pseudonymized: !!result.pseudonymized
+  };
+  await Promise.all(resultIndexKeys(result).map(key => env.RESULTS_KV.put(key, "", { metadata })));
+}
+
+async function deleteResult(env, result) {
+  await Promise.all(resultIndexKeys(result).map(key => env.RESULTS_KV.delete(key)));
+  await env.RESULTS_KV.delete("submission:" + result.id);
+  await env.RESULTS_KV.delete("result:" + result.id);
+}
+
+async function queryResults(env, filters, pageSize, cursor) {
+  // Walk the most selective index; the remaining filters are checked on metadata
+  const prefix =
+    filters.assignment_id ? "idx:assignment:" + filters.assignment_id + ":" :
+    filters.student_id ? "idx:student:" + filters.student_id + ":" :
+    filters.course_id ? "idx:course:" + filters.course_id + ":" :
+    filters.type ? "idx:type:" + filters.type + ":" :
+    "idx:all:";
+
+  // The cursor remembers the KV list cursor plus how far into that list page we got
+  let position = { c: null, o: 0 };
+  if (cursor) {
+    try { position = JSON.parse(atob(cursor)); } catch {}
+  }
+
+  const ids = [];
+  let kvCursor = position.c || undefined;
+  let offset = position.o || 0;
+  let next = null;
+
+  outer:
+  while (true) {
+    const listing = await env.RESULTS_KV.list({ prefix, cursor: kvCursor });
+    for (let i = offset; i < listing.keys.length; i++) {
+      const meta = listing.keys[i].metadata || {};
+      if (filters.from && meta.date < filters.from) break outer; // older than range – done
+      if (filters.to && meta.date > filters.to) continue;
+      if (filters.course_id && meta.course_id !== filters.course_id) continue;
+      if (filters.student_id && meta.student_id !== filters.student_id) continue;
+      if (filters.type && meta.type !== filters.type) continue;
+      if (filters.assignment_id && meta.assignment_id !== filters.assignment_id) continue;
+      // Results from before there was a choice of language are English
+      if (filters.target_language && (meta.target_language || DEFAULT_LANGUAGE) !== filters.target_language) continue;
+      if (ids.length === pageSize) {
+        next = btoa(JSON.stringify({ c: kvCursor || null, o: i }));
+        break outer;
       }
-      if (Object.keys(obj).length >= 2) return obj;
-    } catch {}
+      ids.push(meta.id);
+    }
+    if (listing.list_complete) break;
+    kvCursor = listing.cursor;
+    offset = 0;
+  }
+
+  const results = (await Promise.all(ids.map(id => getJSON(env, "result:" + id)))).filter(Boolean);
+  return { results, next_cursor: next };
+}
+
+/* ================= HELPERS ================= */
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Unambiguous characters only (no 0/O, 1/I/L) – codes are read off paper
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+function randomCode(length) {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+}
+
+async function uniqueCode(env, prefix, length) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = randomCode(length);
+    if (!(await env.RESULTS_KV.get(prefix + code))) return code;
+  }
+  throw new Error("Could not generate a unique code.");
+}
+
+function countWords(text) {
+  return (text || "").split(/\s+/).filter(Boolean).length;
+}
+
+function hashString(str) {
+  let hash = 2166136261; // FNV-1a
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
   }
+  return hash >>> 0;
+}
+
+function isValidDate(value) {
+  return typeof value === "string" && value.length <= 40 && !isNaN(Date.parse(value));
+}
+
+function normalizeCode(code) {
+  if (typeof code !== "string" || code.length > 20) return "";
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+async function getJSON(env, key) {
+  try {
+    return await env.RESULTS_KV.get(key, "json");
+  } catch {
+    return null;
+  }
+}
+
+async function putJSON(env, key, value, options) {
+  await env.RESULTS_KV.put(key, JSON.stringify(value), options);
+}
 
-  throw new Error("Model did not return valid JSON.");
+// Lists all keys under a prefix, following KV's pagination cursor
+async function listKeys(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.RESULTS_KV.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+// Message and status shown to the client for an error thrown while handling a request
+function describeError(err) {
+  if (err instanceof ModelOutputError) {
+    return { error: "Die KI hat keine gültige Antwort geliefert. Bitte versuche es erneut.", status: 502 };
+  }
+  if (err instanceof LLMTimeoutError) {
+    return { error: "Die KI hat nicht rechtzeitig geantwortet. Bitte versuche es erneut.", status: 504 };
+  }
+  return { error: "Ein interner Fehler ist aufgetreten.", status: 500 };
 }
 
 function jsonResponse(data, status = 200) {
@@ -639,7 +5347,7 @@ function corsHeaders(origin) {
   return {
     "Content-Type": "application/json",
     "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Headers": "Content-Type, X-Access-Password",
+    "Access-Control-Allow-Headers": "Content-Type, X-Session-Token",
     "Access-Control-Allow-Methods": "POST, OPTIONS",
     "Vary": "Origin"
   };
@@ -0,0 +1,88 @@
+// Retention purge over results moved in by /api/migrate-results.
+// Run with: node --test worker/test
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../src/index.js";
+
+// Just enough of a KV namespace for the worker: values, metadata and prefix listing
+function memoryKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      store.set(key, { value: String(value), metadata: options.metadata ?? null });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = "", cursor } = {}) {
+      const names = [...store.keys()].filter(k => k.startsWith(prefix) && (!cursor || k > cursor)).sort();
+      const page = names.slice(0, 1000);
+      const complete = page.length === names.length;
+      return {
+        keys: page.map(name => ({ name, metadata: store.get(name).metadata })),
+        list_complete: complete,
+        cursor: complete ? undefined : page[page.length - 1]
+      };
+    }
+  };
+}
+
+async function call(env, path, body, token) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers["X-Session-Token"] = token;
+  const res = await worker.fetch(new Request("https://worker" + path, {
+    method: "POST", headers, body: JSON.stringify(body)
+  }), env, {});
+  return res.json();
+}
+
+async function purge(env) {
+  const pending = [];
+  await worker.scheduled({}, env, { waitUntil: p => pending.push(p) });
+  await Promise.all(pending);
+}
+
+// A pre-migration result: no student id, only the name
+async function migratedResultEnv(mode) {
+  const kv = memoryKV();
+  const env = { RESULTS_KV: kv, TEACHER_PASSWORD: "secret", RETENTION_DAYS: "365", RETENTION_MODE: mode };
+  await kv.put("all_results", JSON.stringify([{
+    id: "old1", student_name: "Max Muster", course: "Q12", type: "mediation",
+    topic: "Tourism", content: 10, language: 9, total: 19, date: "2020-03-01T10:00:00.000Z"
+  }]));
+  const { token } = await call(env, "/api/teacher-login", { teacher_password: "secret" });
+  const migrated = await call(env, "/api/migrate-results", {}, token);
+  assert.equal(migrated.migrated, 1);
+  return { env, kv };
+}
+
+test("pseudonymize mode replaces the name of a migrated result without student id", async () => {
+  const { env, kv } = await migratedResultEnv("pseudonymize");
+
+  await purge(env);
+  const result = await kv.get("result:old1", "json");
+  assert.match(result.student_name, /^Anonym [0-9A-F]{6}$/);
+  assert.equal(result.pseudonymized, true);
+  assert.equal(result.total, 19);
+  const index = [...kv.store].filter(([key]) => key.startsWith("idx:") && key.endsWith(":old1"));
+  assert.ok(index.length > 0);
+  assert.ok(index.every(([, entry]) => entry.metadata.pseudonymized === true));
+
+  // The next run leaves it alone
+  await purge(env);
+  assert.equal((await kv.get("result:old1", "json")).student_name, result.student_name);
+});
+
+test("delete mode removes a migrated result and its index entries", async () => {
+  const { env, kv } = await migratedResultEnv("delete");
+
+  await purge(env);
+  assert.equal(await kv.get("result:old1"), null);
+  assert.deepEqual([...kv.store.keys()].filter(key => key.includes("old1")), []);
+});